@@ -1,6 +1,7 @@
 // Main client application
 class Game {
   constructor() {
+    this.log = Logger.get('game');
     this.scene = null;
     this.camera = null;
     this.renderer = null;
@@ -15,10 +16,15 @@ class Game {
     this.players = new Map(); // playerId -> THREE.Mesh
     this.localPlayerId = null;
     this.config = null;
+    this.interpolator = new SnapshotInterpolator(CONFIG.network.interpolation); // Remote players
 
-    // Spike ball throwing
-    this.spikeBalls = new Map(); // playerId -> spike ball data
-    this.spikeBallAvailable = true; // Can throw spike ball
+    // Spike balls in flight, simulated by the host
+    this.spikeBalls = new Map(); // owner netId -> THREE.Group
+
+    // Spectating - no player of our own; the camera follows someone or flies free
+    this.isSpectator = false;
+    this.spectateTargetId = null;
+    this.freeCamera = false;
 
     // Input
     this.keys = {
@@ -27,7 +33,8 @@ class Game {
       left: false,
       right: false,
       jump: false,
-      dash: false
+      dash: false,
+      throw: false
     };
 
     // Camera
@@ -53,10 +60,19 @@ class Game {
       this.network = new NetworkManager();
       await this.network.init();
 
+      // Close connections promptly so peers can start a host migration
+      window.addEventListener('beforeunload', () => this.network.destroy());
+
       document.getElementById('loading-screen').classList.add('hidden');
       document.getElementById('room-menu').style.display = 'block';
+
+      // Opened from an invite link - go straight to joining
+      const params = new URLSearchParams(window.location.search);
+      if (params.get('room')) {
+        this.joinFromInvite(params.get('room'), params.get('name'), params.has('spectate'));
+      }
     } catch (error) {
-      console.error('Failed to initialize:', error);
+      this.log.error('Failed to initialize:', error);
       alert('Failed to connect: ' + error.message);
     }
   }
@@ -100,20 +116,81 @@ class Game {
     directionalLight.shadow.mapSize.height = 2048;
     this.scene.add(directionalLight);
 
+    // Ground and level geometry - a plain field until we are in a room
+    this.levelGroup = new THREE.Group();
+    this.scene.add(this.levelGroup);
+    this.buildLevel(null, 100);
+
+    window.addEventListener('resize', () => this.onWindowResize());
+    this.animate();
+  }
+
+  // Replace the ground and level meshes: a ground the size of the world
+  // (the physics clamps players to it) plus the level's boxes and ramps
+  buildLevel(level, worldSize) {
+    this.levelGroup.children.slice().forEach(mesh => {
+      this.levelGroup.remove(mesh);
+      if (mesh.geometry) mesh.geometry.dispose();
+      if (mesh.material) mesh.material.dispose();
+    });
+
     // Ground with shadow receiving
-    const groundGeometry = new THREE.PlaneGeometry(100, 100);
+    const groundGeometry = new THREE.PlaneGeometry(worldSize, worldSize);
     const groundMaterial = new THREE.MeshLambertMaterial({ color: 0x228B22 });
     const ground = new THREE.Mesh(groundGeometry, groundMaterial);
     ground.rotation.x = -Math.PI / 2;
     ground.receiveShadow = true;
-    this.scene.add(ground);
+    this.levelGroup.add(ground);
+
+    // Grid, one line every 5 units
+    const grid = new THREE.GridHelper(worldSize, Math.round(worldSize / 5));
+    this.levelGroup.add(grid);
+
+    if (!level) return;
+
+    (level.boxes || []).forEach(box => {
+      const geometry = new THREE.BoxGeometry(box.width, box.height, box.depth);
+      const material = new THREE.MeshLambertMaterial({ color: box.color || 0x888888 });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.position.set(box.x, (box.y || 0) + box.height / 2, box.z);
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+      this.levelGroup.add(mesh);
+    });
+
+    // Turns the wedge from rising along +x to its direction
+    const rampTurns = { '+x': 0, '-x': Math.PI, '+z': -Math.PI / 2, '-z': Math.PI / 2 };
+    (level.ramps || []).forEach(ramp => {
+      const material = new THREE.MeshLambertMaterial({ color: ramp.color || 0x888888 });
+      const mesh = new THREE.Mesh(Game.rampGeometry(ramp), material);
+      mesh.position.set(ramp.x, ramp.y || 0, ramp.z);
+      mesh.rotation.y = rampTurns[ramp.direction] || 0;
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+      this.levelGroup.add(mesh);
+    });
+  }
 
-    // Grid
-    const grid = new THREE.GridHelper(100, 20);
-    this.scene.add(grid);
+  // Wedge rising along local +x, centered on x / z with its bottom at y = 0
+  static rampGeometry(ramp) {
+    const l = ramp.length / 2;
+    const w = ramp.width / 2;
+    const h = ramp.height;
+    // A, B, C on the z = +w side, D, E, F on z = -w: low end, high end bottom, high end top
+    const A = [-l, 0, w], B = [l, 0, w], C = [l, h, w];
+    const D = [-l, 0, -w], E = [l, 0, -w], F = [l, h, -w];
+    const triangles = [
+      A, C, F, A, F, D, // Slope
+      A, D, E, A, E, B, // Bottom
+      B, E, F, B, F, C, // High end
+      A, B, C, // Sides
+      D, F, E
+    ];
 
-    window.addEventListener('resize', () => this.onWindowResize());
-    this.animate();
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(triangles.flat(), 3));
+    geometry.computeVertexNormals();
+    return geometry;
   }
 
   setupControls() {
@@ -183,6 +260,7 @@ class Game {
     const btnBack = document.getElementById('btn-back');
     const btnStartGame = document.getElementById('btn-start-game');
     const btnCopyCode = document.getElementById('btn-copy-code');
+    const btnCopyInvite = document.getElementById('btn-copy-invite');
 
     btnHost.addEventListener('click', () => this.onHostClick());
     btnJoin.addEventListener('click', () => this.onJoinClick());
@@ -190,6 +268,27 @@ class Game {
     btnJoinRoom.addEventListener('click', () => this.onJoinRoomClick());
     btnStartGame.addEventListener('click', () => this.onStartGameClick());
     btnCopyCode.addEventListener('click', () => this.onCopyCodeClick());
+    btnCopyInvite.addEventListener('click', () => this.onCopyInviteClick());
+    document.getElementById('btn-download-log').addEventListener('click', () => Logger.download());
+
+    // Admission settings apply right away, also to players already knocking
+    document.getElementById('host-password-input').addEventListener('input', (e) => {
+      if (this.gameHost) {
+        this.gameHost.setRoomPassword(e.target.value);
+      }
+    });
+    document.getElementById('host-knock-input').addEventListener('change', (e) => {
+      if (this.gameHost) {
+        this.gameHost.setKnockToJoin(e.target.checked);
+      }
+    });
+    document.getElementById('host-max-players-input').addEventListener('change', (e) => {
+      if (this.gameHost) {
+        this.gameHost.setMaxPlayers(parseInt(e.target.value, 10) || CONFIG.network.maxPlayers);
+      }
+    });
+
+    ui.setupNetSim(() => this.network);
   }
 
   async onHostClick() {
@@ -199,45 +298,156 @@ class Game {
       localStorage.setItem('playerName', playerName);
 
       const roomId = await this.network.createRoom();
-      document.getElementById('room-code').textContent = roomId;
+      this.showRoomInvite(roomId);
 
       document.getElementById('btn-host').style.display = 'none';
       document.getElementById('btn-join').style.display = 'none';
       document.getElementById('player-name-input').style.display = 'none';
       document.getElementById('room-info').style.display = 'block';
-
-      this.isHost = true;
+      document.getElementById('host-max-players-input').value = CONFIG.network.maxPlayers;
 
       // Create game host IMMEDIATELY when hosting starts
-      console.log('🎮 Creating GameHost immediately on host click');
-      this.gameHost = new GameHost(this.network, playerName);
-
-      // Set callbacks for when players are added/removed
-      this.gameHost.onPlayerAdded((player) => {
-        console.log('🎨 Rendering new player:', player.id);
-        this.createPlayerMesh(player);
-        ui.updatePlayer(player);
-      });
+      this.log.debug('Creating GameHost immediately on host click');
+      this.setupGameHost(playerName);
+    } catch (error) {
+      this.log.error('Failed to create room:', error);
+      alert('Failed to create room: ' + error.message);
+    }
+  }
 
-      this.gameHost.onPlayerRemoved((peerId) => {
-        console.log('🎨 Cleaning up removed player:', peerId);
-        this.removePlayerMesh(peerId);
-        ui.removePlayer(peerId);
-      });
+  // Room code, invite link and QR code in the host panel
+  showRoomInvite(roomId) {
+    document.getElementById('room-code').textContent = roomId;
 
-      this.gameHost.onChatMessage((chatData) => {
-        console.log('💬 HOST: Chat message callback:', chatData);
-        this.showChatBubble(chatData.playerId, chatData.message);
-      });
+    const inviteUrl = Game.inviteUrl(roomId);
+    document.getElementById('invite-url').value = inviteUrl;
 
-      // Setup host-specific callbacks for rendering (polling backup)
-      this.setupHostCallbacks();
+    // Very long links (custom servers) do not fit in a QR code - the link
+    // above still works, so keep hosting without one
+    const qrCanvas = document.getElementById('room-qr');
+    try {
+      QRCode.render(qrCanvas, inviteUrl);
+      qrCanvas.style.display = 'block';
     } catch (error) {
-      console.error('Failed to create room:', error);
-      alert('Failed to create room: ' + error.message);
+      this.log.warn('No QR code for the invite link:', error.message);
+      qrCanvas.style.display = 'none';
     }
   }
 
+  // Create the GameHost and hook it up to rendering.
+  // seedPlayers and seedLevel are set when taking over the room after a host migration.
+  setupGameHost(playerName, seedPlayers = null, seedLevel = null) {
+    this.isHost = true;
+    this.gameHost = new GameHost(this.network, playerName, seedPlayers, seedLevel);
+    this.interpolator.reset(); // Host time starts over with us
+    this.buildLevel(this.gameHost.level, this.gameHost.config.worldSize);
+
+    this.gameHost.onState((players, hostTime, spikeBalls) => {
+      this.updateGameState(players, hostTime, spikeBalls);
+    });
+
+    // Set callbacks for when players are added/removed
+    this.gameHost.onPlayerAdded((player) => {
+      this.log.debug('Rendering new player:', player.id);
+      this.createPlayerMesh(player);
+      ui.updatePlayer(player);
+    });
+
+    this.gameHost.onPlayerRemoved((peerId) => {
+      this.log.debug('Cleaning up removed player:', peerId);
+      this.removePlayerMesh(peerId);
+      ui.removePlayer(peerId);
+    });
+
+    this.gameHost.onChatMessage((chatData) => {
+      this.log.debug('Chat message callback:', chatData);
+      this.showChatBubble(chatData.playerId, chatData.message);
+    });
+
+    this.gameHost.onPings((pings) => {
+      ui.updatePings(pings);
+    });
+
+    this.gameHost.onSpectatorsChanged((spectators) => {
+      ui.updateSpectators(spectators);
+    });
+
+    // Kick / ban buttons in the player list
+    ui.setHostControls(
+      (peerId) => this.gameHost.kickPlayer(peerId),
+      (peerId) => this.gameHost.banPlayer(peerId)
+    );
+
+    this.gameHost.onJoinRequestsChanged((requests) => {
+      ui.updateJoinRequests(
+        requests,
+        (peerId) => this.gameHost.acceptJoinRequest(peerId),
+        (peerId) => this.gameHost.denyJoinRequest(peerId)
+      );
+    });
+
+    // Setup host-specific callbacks for rendering (polling backup)
+    this.setupHostCallbacks();
+  }
+
+  // Elected as the new host: stop being a client and run the simulation
+  // from the last snapshot we received, with the previous host's admission
+  // settings and bans
+  becomeHost(seedPlayers, roomSettings) {
+    this.log.info('Taking over as host');
+
+    const playerName = localStorage.getItem('playerName') || 'Player';
+    const level = this.gameClient.level;
+    const spectatorIds = Array.from(this.gameClient.spectators.keys());
+
+    this.gameClient.stop();
+    this.gameClient = null;
+
+    this.network.promoteToHost();
+    this.setupGameHost(playerName, seedPlayers, level);
+    if (roomSettings) {
+      this.gameHost.applyRoomSettings(roomSettings);
+      document.getElementById('host-password-input').value = roomSettings.password || '';
+      document.getElementById('host-knock-input').checked = !!roomSettings.knockToJoin;
+      document.getElementById('host-max-players-input').value = this.gameHost.maxPlayers;
+    }
+    this.gameHost.expectSpectators(spectatorIds);
+    this.gameHost.start();
+    ui.showHostSettings();
+
+    // The room now lives under our peer ID - the old code no longer works
+    this.showRoomInvite(this.network.roomId);
+
+    ui.updateConnectionStatus(true);
+  }
+
+  // Invite link for a room: this page with ?room=CODE. The signaling server,
+  // ICE servers and transport overrides are kept so invitees end up on the
+  // same network - nothing else (TURN credentials, simulator, log settings).
+  static inviteUrl(roomCode) {
+    const current = new URL(window.location.href);
+    const url = new URL(current.origin + current.pathname);
+    url.searchParams.set('room', roomCode);
+    Game.INVITE_PARAMS.forEach(name => {
+      if (current.searchParams.has(name)) {
+        url.searchParams.set(name, current.searchParams.get(name));
+      }
+    });
+    return url.toString();
+  }
+
+  // ?room=CODE&name=...&spectate - fill in the join form and submit it
+  joinFromInvite(roomCode, playerName, spectate = false) {
+    if (playerName) {
+      document.getElementById('player-name-input').value = playerName.substring(0, 10);
+    }
+    document.getElementById('room-id-input').value = roomCode;
+    document.getElementById('spectator-input').checked = spectate;
+
+    this.onJoinClick();
+    this.onJoinRoomClick();
+  }
+
   onJoinClick() {
     document.getElementById('btn-host').style.display = 'none';
     document.getElementById('btn-join').style.display = 'none';
@@ -252,46 +462,74 @@ class Game {
   }
 
   async onJoinRoomClick() {
-    const hostPeerId = document.getElementById('room-id-input').value.trim();
-    if (!hostPeerId) {
-      alert('Please enter host Peer ID');
+    const roomInput = document.getElementById('room-id-input').value.trim();
+    if (!roomInput) {
+      alert('Please enter a room code');
       return;
     }
+    const hostPeerId = NetworkManager.roomPeerId(roomInput);
 
     // Get player name
     const playerName = document.getElementById('player-name-input').value.trim() || 'Player';
     localStorage.setItem('playerName', playerName);
+    const spectator = document.getElementById('spectator-input').checked;
 
     try {
       document.getElementById('btn-join-room').disabled = true;
       document.getElementById('btn-join-room').textContent = 'Connecting...';
 
       // Setup client FIRST - before connecting
-      console.log('🔧 Creating GameClient');
-      this.gameClient = new GameClient(this.network, playerName);
-      console.log('🔧 Setting up callbacks BEFORE connecting');
+      this.log.debug('Creating GameClient');
+      this.gameClient = new GameClient(this.network, playerName, spectator);
+      this.gameClient.setViewClock(() => this.interpolator.renderTime());
+      this.log.debug('Setting up callbacks BEFORE connecting');
       this.setupClientCallbacks();
 
-      console.log('🔗 Now connecting to host...');
-      await this.network.joinRoom(hostPeerId);
+      // Reclaim our old player if this tab was already in the room (page refresh)
+      const resumeToken = sessionStorage.getItem(GameClient.resumeTokenKey(hostPeerId));
+      this.gameClient.resumeToken = resumeToken;
+
+      // Knock-to-join rooms keep us waiting for the host
+      this.network.onJoinPending(() => {
+        document.getElementById('btn-join-room').textContent = 'Waiting for host approval...';
+      });
 
-      console.log('✅ Connection complete, hiding menu');
+      this.log.debug('Now connecting to host...');
+      const password = document.getElementById('room-password-input').value;
+      await this.network.joinRoom(hostPeerId, undefined, {
+        name: playerName,
+        password: password,
+        identity: GameClient.getIdentity(),
+        spectator: spectator,
+        resumeToken: resumeToken || undefined
+      });
+
+      this.log.info('Connection complete, hiding menu');
       document.getElementById('room-menu').style.display = 'none';
       ui.updateConnectionStatus(true);
 
     } catch (error) {
-      console.error('Failed to join:', error);
-      alert('Failed to join: ' + error.message);
+      this.log.error('Failed to join:', error);
+      this.gameClient.stop();
+      this.gameClient = null;
+
+      // The host turned us away (incompatible version, wrong password,
+      // declined...) - show its reason
+      if (error.type === 'rejected') {
+        ui.showError(error.message);
+      } else {
+        alert('Failed to join: ' + error.message);
+      }
       document.getElementById('btn-join-room').disabled = false;
       document.getElementById('btn-join-room').textContent = 'Join';
     }
   }
 
   onStartGameClick() {
-    console.log('🎮 Starting game as host');
+    this.log.info('Starting game as host');
 
     if (!this.gameHost) {
-      console.error('❌ GameHost not created! This should not happen.');
+      this.log.error('GameHost not created! This should not happen.');
       return;
     }
 
@@ -302,6 +540,7 @@ class Game {
     ui.setLocalPlayerId(this.localPlayerId);
 
     document.getElementById('room-menu').style.display = 'none';
+    ui.showHostSettings();
     ui.updateConnectionStatus(true);
   }
 
@@ -328,23 +567,31 @@ class Game {
   }
 
   setupClientCallbacks() {
-    console.log('🔧 Setting up client callbacks');
+    this.log.debug('Setting up client callbacks');
     this.gameClient.onInit((data) => {
-      console.log('🎮 Client initialized', data);
+      this.log.debug('Client initialized', data);
       this.localPlayerId = data.localPlayerId;
       this.config = data.config;
+      this.isSpectator = data.spectator;
+      this.interpolator.reset(); // Possibly a new host with its own clock
+      this.buildLevel(data.level, data.config.worldSize);
 
       ui.setLocalPlayerId(this.localPlayerId);
-      console.log('👥 Creating player meshes for:', data.players.length, 'players');
+      if (this.isSpectator) {
+        document.getElementById('dash-gauge').style.display = 'none';
+        document.getElementById('health-gauge').style.display = 'none';
+        this.updateSpectatorHud();
+      }
+      this.log.debug('Creating player meshes for:', data.players.length, 'players');
       data.players.forEach(player => {
-        console.log('Creating mesh for player:', player.id);
+        this.log.debug('Creating mesh for player:', player.id);
         this.createPlayerMesh(player);
         ui.updatePlayer(player);
       });
     });
 
-    this.gameClient.onGameState((players) => {
-      this.updateGameState(players);
+    this.gameClient.onGameState((players, hostTime, spikeBalls) => {
+      this.updateGameState(players, hostTime, spikeBalls);
     });
 
     this.gameClient.onPlayerJoined((player) => {
@@ -353,18 +600,57 @@ class Game {
     });
 
     this.gameClient.onPlayerLeft((playerId) => {
-      console.log('🔌 CLIENT: onPlayerLeft triggered for:', playerId);
+      this.log.debug('onPlayerLeft triggered for:', playerId);
       this.removePlayerMesh(playerId);
       ui.removePlayer(playerId);
     });
 
     this.gameClient.onChatMessage((chatData) => {
-      console.log('💬 CLIENT: Chat callback triggered:', chatData);
+      this.log.debug('Chat callback triggered:', chatData);
       // Don't show own messages again (already shown optimistically)
       if (chatData.playerId !== this.localPlayerId) {
         this.showChatBubble(chatData.playerId, chatData.message);
       }
     });
+
+    this.gameClient.onPings((pings) => {
+      ui.updatePings(pings);
+    });
+
+    this.gameClient.onSpectatorsChanged((spectators) => {
+      ui.updateSpectators(spectators);
+    });
+
+    // Reconnect / host migration
+    this.gameClient.onReconnecting(() => {
+      ui.showReconnecting();
+    });
+
+    this.gameClient.onReconnected(() => {
+      ui.updateConnectionStatus(true);
+    });
+
+    this.gameClient.onHostMigrating(() => {
+      ui.showMigrating();
+    });
+
+    this.gameClient.onHostMigrated(() => {
+      ui.updateConnectionStatus(true);
+    });
+
+    this.gameClient.onBecomeHost((seedPlayers, roomSettings) => {
+      this.becomeHost(seedPlayers, roomSettings);
+    });
+
+    this.gameClient.onConnectionLost(() => {
+      ui.showDisconnected();
+      ui.showError('Lost connection to the room');
+    });
+
+    this.gameClient.onKicked((reason) => {
+      ui.showDisconnected();
+      ui.showError(reason);
+    });
   }
 
   onCopyCodeClick() {
@@ -378,6 +664,16 @@ class Game {
     }, 2000);
   }
 
+  onCopyInviteClick() {
+    navigator.clipboard.writeText(document.getElementById('invite-url').value);
+    const btn = document.getElementById('btn-copy-invite');
+    const originalText = btn.textContent;
+    btn.textContent = 'Copied!';
+    setTimeout(() => {
+      btn.textContent = originalText;
+    }, 2000);
+  }
+
   onKeyDown(event) {
     // Don't process game input when chat is open
     const chatContainer = document.getElementById('chat-input-container');
@@ -385,6 +681,11 @@ class Game {
       return;
     }
 
+    // Or while typing into a panel (network simulator)
+    if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') {
+      return;
+    }
+
     // C key to toggle controls panel
     if (event.code === 'KeyC') {
       const controlsPanel = document.getElementById('controls-panel');
@@ -397,6 +698,36 @@ class Game {
       return;
     }
 
+    // N key to toggle network stats
+    if (event.code === 'KeyN') {
+      ui.toggleNetStats();
+      event.preventDefault();
+      return;
+    }
+
+    // L key to toggle the network simulator
+    if (event.code === 'KeyL') {
+      ui.toggleNetSim(this.network);
+      event.preventDefault();
+      return;
+    }
+
+    // Spectator camera: Q / E switch the watched player, F toggles free camera
+    if (this.isSpectator) {
+      if (event.code === 'KeyQ' || event.code === 'KeyE') {
+        this.freeCamera = false;
+        this.cycleSpectateTarget(event.code === 'KeyE' ? 1 : -1);
+        event.preventDefault();
+        return;
+      }
+      if (event.code === 'KeyF') {
+        this.freeCamera = !this.freeCamera;
+        this.updateSpectatorHud();
+        event.preventDefault();
+        return;
+      }
+    }
+
     let changed = false;
 
     switch (event.code) {
@@ -438,9 +769,8 @@ class Game {
         event.preventDefault();
         break;
       case 'KeyK':
-        if (this.spikeBallAvailable) {
-          this.throwSpikeBall();
-        }
+        this.keys.throw = true;
+        changed = true;
         event.preventDefault();
         break;
     }
@@ -485,6 +815,10 @@ class Game {
         this.keys.dash = false;
         changed = true;
         break;
+      case 'KeyK':
+        this.keys.throw = false;
+        changed = true;
+        break;
     }
 
     if (changed) {
@@ -560,7 +894,7 @@ class Game {
     this.scene.add(mesh);
     this.players.set(playerData.id, mesh);
 
-    console.log('✅ Created player mesh:', playerData.id, mesh.userData.playerName);
+    this.log.debug('Created player mesh:', playerData.id, mesh.userData.playerName);
   }
 
   createSpikeBallMesh() {
@@ -606,16 +940,16 @@ class Game {
   }
 
   removePlayerMesh(playerId) {
+    this.interpolator.remove(playerId);
     const mesh = this.players.get(playerId);
     if (mesh) {
-      // Clean up sprite and texture
-      const sprite = mesh.children.find(child => child instanceof THREE.Sprite);
-      if (sprite) {
+      // Clean up sprites (name tag, health bar) and their textures
+      mesh.children.filter(child => child instanceof THREE.Sprite).forEach(sprite => {
         if (sprite.material.map) {
           sprite.material.map.dispose();
         }
         sprite.material.dispose();
-      }
+      });
 
       // Remove from scene
       this.scene.remove(mesh);
@@ -623,23 +957,24 @@ class Game {
       mesh.material.dispose();
       this.players.delete(playerId);
 
-      console.log('🗑️ Removed player mesh:', playerId);
-      console.log('📊 Remaining players:', this.players.size);
+      this.log.debug('Removed player mesh:', playerId);
+      this.log.debug('Remaining players:', this.players.size);
     } else {
-      console.log('⚠️ Tried to remove non-existent player:', playerId);
+      this.log.debug('Tried to remove non-existent player:', playerId);
     }
   }
 
-  updateGameState(players) {
+  // players and spikeBalls: the state at hostTime (ms on the host's simulation clock)
+  updateGameState(players, hostTime, spikeBalls = []) {
     // Create a set of player IDs from server state
     const serverPlayerIds = new Set(players.map(p => p.id));
 
-    // Remove players that are no longer in server state
+    // Players out of our area of interest are left out of the state - hide
+    // them until they come back. Players only leave through onPlayerLeft.
     this.players.forEach((mesh, playerId) => {
       if (!serverPlayerIds.has(playerId)) {
-        console.log('🧹 Cleaning up disappeared player:', playerId);
-        this.removePlayerMesh(playerId);
-        ui.removePlayer(playerId);
+        mesh.visible = false;
+        this.interpolator.remove(playerId);
       }
     });
 
@@ -647,6 +982,34 @@ class Game {
     players.forEach(playerData => {
       const mesh = this.players.get(playerData.id);
       if (mesh) {
+        // Back in range - jump to where the player is now
+        if (!mesh.visible) {
+          mesh.visible = true;
+          mesh.position.set(
+            playerData.position.x,
+            playerData.position.y,
+            playerData.position.z
+          );
+          mesh.rotation.y = playerData.rotation;
+        }
+
+        // The held ball shows while the host says it is in hand
+        const heldBall = mesh.children.find(child => child.userData.isSpikeBall);
+        if (heldBall) {
+          heldBall.visible = playerData.hasBall !== false;
+        }
+
+        if (mesh.userData.health !== playerData.health) {
+          this.updateHealthBar(mesh, playerData.health);
+        }
+
+        // Knocked out players fade until they respawn
+        if (mesh.userData.dead !== playerData.dead) {
+          mesh.userData.dead = playerData.dead;
+          mesh.material.transparent = playerData.dead;
+          mesh.material.opacity = playerData.dead ? 0.3 : 1;
+        }
+
         // Update name tag if name changed
         if (mesh.userData.playerName !== playerData.name) {
           this.updatePlayerNameTag(mesh, playerData.name);
@@ -657,17 +1020,8 @@ class Game {
 
         // For local player: use client-side predicted position
         if (playerData.id === this.localPlayerId) {
-          if (this.gameClient && this.gameClient.getLocalPlayerState) {
-            const localState = this.gameClient.getLocalPlayerState();
-            if (localState) {
-              mesh.position.set(
-                localState.position.x,
-                localState.position.y,
-                localState.position.z
-              );
-              mesh.rotation.y = localState.rotation;
-              return;
-            }
+          if (this.updateLocalPlayerMesh()) {
+            return;
           }
           // Fallback to server state if prediction not available
           mesh.position.set(
@@ -676,32 +1030,100 @@ class Game {
             playerData.position.z
           );
           mesh.rotation.y = playerData.rotation;
-          return;
         }
+      }
+    });
 
-        // Smooth interpolation for remote players
-        // Lower lerp = smoother, but slightly more delayed
-        const lerpFactor = 0.2; // Reduced for smoother movement
+    this.syncSpikeBalls(spikeBalls);
 
-        mesh.position.x += (playerData.position.x - mesh.position.x) * lerpFactor;
-        mesh.position.y += (playerData.position.y - mesh.position.y) * lerpFactor;
-        mesh.position.z += (playerData.position.z - mesh.position.z) * lerpFactor;
+    // Remote players and balls are drawn from the interpolation buffer every
+    // frame. Held (far, not refreshed) players repeat an older state - stored
+    // under this snapshot's time they would stop and jump, so they are left
+    // out and interpolate between their real updates.
+    const ballStates = spikeBalls.map(ball => ({ id: 'ball-' + ball.netId, position: ball.position, rotation: 0 }));
+    const remotePlayers = players.filter(p => p.id !== this.localPlayerId && !p.held);
+    this.interpolator.addSnapshot(hostTime, remotePlayers.concat(ballStates));
+  }
 
-        // Smooth rotation with slower interpolation
-        let targetRotation = playerData.rotation;
-        let currentRotation = mesh.rotation.y;
+  // Create meshes for new balls in flight, remove the ones caught (or out of range)
+  syncSpikeBalls(spikeBalls) {
+    const inFlight = new Set(spikeBalls.map(ball => ball.netId));
+    this.spikeBalls.forEach((mesh, netId) => {
+      if (!inFlight.has(netId)) {
+        this.scene.remove(mesh);
+        this.spikeBalls.delete(netId);
+        this.interpolator.remove('ball-' + netId);
+      }
+    });
+
+    spikeBalls.forEach(ball => {
+      if (this.spikeBalls.has(ball.netId)) return;
+      const mesh = this.createSpikeBallMesh();
+      mesh.position.set(ball.position.x, ball.position.y, ball.position.z);
+      this.scene.add(mesh);
+      this.spikeBalls.set(ball.netId, mesh);
+    });
+  }
 
-        // Handle rotation wrapping
-        let diff = targetRotation - currentRotation;
-        if (diff > Math.PI) diff -= 2 * Math.PI;
-        if (diff < -Math.PI) diff += 2 * Math.PI;
+  // Remote players at the interpolation delay behind the host
+  updateRemotePlayers() {
+    const now = Date.now();
+    this.players.forEach((mesh, playerId) => {
+      if (playerId === this.localPlayerId || !mesh.visible) return;
 
-        // Use even slower rotation for smoothness
-        mesh.rotation.y += diff * (lerpFactor * 0.8);
+      const state = this.interpolator.sample(playerId, now);
+      if (state) {
+        mesh.position.set(state.position.x, state.position.y, state.position.z);
+        mesh.rotation.y = state.rotation;
       }
     });
   }
 
+  // Draw our own player where prediction has it, every frame rather than
+  // only when a snapshot arrives. Returns false without a prediction.
+  updateLocalPlayerMesh() {
+    const mesh = this.players.get(this.localPlayerId);
+    const localState = this.gameClient && this.gameClient.getLocalPlayerState();
+    if (!mesh || !localState) {
+      return false;
+    }
+
+    const position = this.gameClient.getLocalRenderPosition();
+    mesh.position.set(position.x, position.y, position.z);
+    mesh.rotation.y = localState.rotation;
+    return true;
+  }
+
+  // Health bar sprite just above the name tag
+  updateHealthBar(mesh, health) {
+    mesh.userData.health = health;
+
+    const oldBar = mesh.children.find(child => child instanceof THREE.Sprite && child.userData.isHealthBar);
+    if (oldBar) {
+      mesh.remove(oldBar);
+      oldBar.material.map.dispose();
+      oldBar.material.dispose();
+    }
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = 128;
+    canvas.height = 16;
+
+    const ratio = Math.max(0, Math.min(1, health / this.config.maxHealth));
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = ratio > 0.5 ? '#44dd44' : ratio > 0.25 ? '#ddcc22' : '#dd3333';
+    context.fillRect(2, 2, (canvas.width - 4) * ratio, canvas.height - 4);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture }));
+    sprite.scale.set(1.2, 0.15, 1);
+    sprite.position.y = 1.85;
+    sprite.userData.isHealthBar = true;
+    mesh.add(sprite);
+  }
+
   updatePlayerNameTag(mesh, newName) {
     // Find and remove old name tag sprite (but keep chat bubbles)
     const oldSprite = mesh.children.find(child => child instanceof THREE.Sprite && child.userData.isNameTag);
@@ -889,113 +1311,31 @@ class Game {
     }, 5000);
   }
 
-  throwSpikeBall() {
-    const localPlayer = this.players.get(this.localPlayerId);
-    if (!localPlayer || !this.spikeBallAvailable) return;
-
-    // Mark spike ball as unavailable
-    this.spikeBallAvailable = false;
-
-    // Hide player's held spike ball
-    const heldBall = localPlayer.children.find(child => child.userData.isSpikeBall);
-    if (heldBall) {
-      heldBall.visible = false;
-    }
-
-    // Get throw direction from player rotation (character forward, horizontal)
-    const direction = new THREE.Vector3(
-      Math.sin(localPlayer.rotation.y),
-      0, // Horizontal throw (no upward angle)
-      Math.cos(localPlayer.rotation.y)
-    );
-    direction.normalize();
-
-    // Create flying spike ball
-    const flyingBall = this.createSpikeBallMesh();
-    flyingBall.position.copy(localPlayer.position);
-    flyingBall.position.y = localPlayer.position.y; // Same height as player (lowest possible)
-    this.scene.add(flyingBall);
-
-    // Store spike ball data
-    const ballData = {
-      mesh: flyingBall,
-      direction: direction.clone(),
-      startPos: localPlayer.position.clone(),
-      distanceTraveled: 0,
-      maxDistance: 20, // Max throw distance
-      returning: false,
-      playerId: this.localPlayerId,
-      rotation: 0
-    };
-    this.spikeBalls.set(this.localPlayerId, ballData);
-
-    console.log('⚫ Threw spike ball');
-  }
-
+  // Spin the balls in flight and move them along the interpolation buffer
   updateSpikeBalls() {
-    this.spikeBalls.forEach((ballData, playerId) => {
-      const player = this.players.get(playerId);
-      if (!player) return;
-
-      const speed = 0.5; // Ball speed
-      const rotationSpeed = 0.2; // Rotation speed
-
-      if (!ballData.returning) {
-        // Flying forward
-        ballData.mesh.position.add(ballData.direction.clone().multiplyScalar(speed));
-        ballData.distanceTraveled += speed;
-
-        // Rotate spike ball on all axes
-        ballData.rotation += rotationSpeed;
-        ballData.mesh.rotation.x = ballData.rotation;
-        ballData.mesh.rotation.y = ballData.rotation * 0.7;
-        ballData.mesh.rotation.z = ballData.rotation * 0.5;
-
-        // Start returning after max distance
-        if (ballData.distanceTraveled >= ballData.maxDistance) {
-          ballData.returning = true;
-        }
-      } else {
-        // Returning to player
-        const directionToPlayer = new THREE.Vector3();
-        directionToPlayer.subVectors(player.position, ballData.mesh.position);
-        const distance = directionToPlayer.length();
-
-        if (distance < 1) {
-          // Ball returned - remove flying ball
-          this.scene.remove(ballData.mesh);
-          this.spikeBalls.delete(playerId);
-
-          // Show held ball again
-          const heldBall = player.children.find(child => child.userData.isSpikeBall);
-          if (heldBall) {
-            heldBall.visible = true;
-          }
-
-          // Make spike ball available again
-          if (playerId === this.localPlayerId) {
-            this.spikeBallAvailable = true;
-          }
+    const spin = Date.now() / 1000 * 12; // Radians
+    const now = Date.now();
 
-          console.log('⚫ Spike ball returned');
-        } else {
-          // Move towards player
-          directionToPlayer.normalize();
-          ballData.mesh.position.add(directionToPlayer.multiplyScalar(speed));
-
-          // Rotate spike ball
-          ballData.rotation += rotationSpeed;
-          ballData.mesh.rotation.x = ballData.rotation;
-          ballData.mesh.rotation.y = ballData.rotation * 0.7;
-          ballData.mesh.rotation.z = ballData.rotation * 0.5;
-        }
+    this.spikeBalls.forEach((mesh, netId) => {
+      const state = this.interpolator.sample('ball-' + netId, now);
+      if (state) {
+        mesh.position.set(state.position.x, state.position.y, state.position.z);
       }
+      mesh.rotation.x = spin;
+      mesh.rotation.y = spin * 0.7;
+      mesh.rotation.z = spin * 0.5;
     });
   }
 
   updateCamera() {
-    const localPlayer = this.players.get(this.localPlayerId);
-    if (!localPlayer) return;
+    // Spectators fly a free camera or follow the player they picked
+    if (this.isSpectator && this.freeCamera) {
+      this.updateFreeCamera();
+      return;
+    }
+
+    const target = this.isSpectator ? this.getSpectateTarget() : this.players.get(this.localPlayerId);
+    if (!target) return;
 
     const distance = CONFIG.camera.offsetZ;
     const height = CONFIG.camera.offsetY;
@@ -1003,9 +1343,9 @@ class Game {
     const offsetX = distance * Math.sin(this.cameraRotation.yaw);
     const offsetZ = distance * Math.cos(this.cameraRotation.yaw);
 
-    const desiredX = localPlayer.position.x + offsetX;
-    const desiredY = localPlayer.position.y + height;
-    const desiredZ = localPlayer.position.z + offsetZ;
+    const desiredX = target.position.x + offsetX;
+    const desiredY = target.position.y + height;
+    const desiredZ = target.position.z + offsetZ;
 
     // Smooth camera movement - all axes use same smooth lerp
     const smoothness = 0.15; // Lower = smoother (less shake)
@@ -1016,9 +1356,9 @@ class Game {
     this.camera.position.copy(this.cameraPosition);
 
     // Smooth look-at target as well
-    const targetX = localPlayer.position.x;
-    const targetY = localPlayer.position.y + 0.5;
-    const targetZ = localPlayer.position.z;
+    const targetX = target.position.x;
+    const targetY = target.position.y + 0.5;
+    const targetZ = target.position.z;
 
     this.cameraTarget.x += (targetX - this.cameraTarget.x) * smoothness;
     this.cameraTarget.y += (targetY - this.cameraTarget.y) * smoothness;
@@ -1027,14 +1367,80 @@ class Game {
     this.camera.lookAt(this.cameraTarget);
   }
 
+  // Mesh of the player a spectator watches - moves on to the next player
+  // when that one leaves
+  getSpectateTarget() {
+    if (!this.players.has(this.spectateTargetId) && this.players.size > 0) {
+      this.cycleSpectateTarget(1);
+    }
+    return this.players.get(this.spectateTargetId);
+  }
+
+  // Watch the next (step 1) or previous (step -1) player in ID order
+  cycleSpectateTarget(step) {
+    const ids = Array.from(this.players.keys()).sort();
+    if (ids.length === 0) {
+      this.spectateTargetId = null;
+    } else {
+      const index = ids.indexOf(this.spectateTargetId);
+      this.spectateTargetId = index === -1 ? ids[0] : ids[(index + step + ids.length) % ids.length];
+    }
+    this.updateSpectatorHud();
+  }
+
+  updateSpectatorHud() {
+    if (this.freeCamera) {
+      ui.updateSpectatorHud('Free camera - WASD move, Space / Shift up / down, F to follow players');
+      return;
+    }
+    const mesh = this.players.get(this.spectateTargetId);
+    ui.updateSpectatorHud(mesh
+      ? `Watching ${mesh.userData.playerName} - Q / E switch player, F free camera`
+      : 'Waiting for players - F free camera');
+  }
+
+  // Spectator free camera - moves like a player would (WASD relative to the
+  // camera yaw, O / P turn) plus Space / Shift for up / down, and looks the
+  // same way the follow camera does
+  updateFreeCamera() {
+    const speed = 0.5;
+
+    let moveX = 0;
+    let moveZ = 0;
+    if (this.keys.forward) moveZ -= 1;
+    if (this.keys.backward) moveZ += 1;
+    if (this.keys.left) moveX -= 1;
+    if (this.keys.right) moveX += 1;
+
+    const length = Math.sqrt(moveX * moveX + moveZ * moveZ);
+    if (length > 0) {
+      moveX /= length;
+      moveZ /= length;
+    }
+
+    const yaw = this.cameraRotation.yaw;
+    this.cameraPosition.x += (moveX * Math.cos(-yaw) - moveZ * Math.sin(-yaw)) * speed;
+    this.cameraPosition.z += (moveX * Math.sin(-yaw) + moveZ * Math.cos(-yaw)) * speed;
+    if (this.keys.jump) this.cameraPosition.y += speed;
+    if (this.keys.dash) this.cameraPosition.y = Math.max(1, this.cameraPosition.y - speed);
+
+    this.camera.position.copy(this.cameraPosition);
+    this.cameraTarget.set(
+      this.cameraPosition.x - CONFIG.camera.offsetZ * Math.sin(yaw),
+      this.cameraPosition.y - CONFIG.camera.offsetY,
+      this.cameraPosition.z - CONFIG.camera.offsetZ * Math.cos(yaw)
+    );
+    this.camera.lookAt(this.cameraTarget);
+  }
+
   animate() {
     requestAnimationFrame(() => this.animate());
 
-    // Host: update positions from game simulation
-    if (this.isHost && this.gameHost) {
-      const players = this.gameHost.getPlayers();
-      this.updateGameState(players);
+    // Client: predicted local player
+    if (this.gameClient) {
+      this.updateLocalPlayerMesh();
     }
+    this.updateRemotePlayers();
 
     // Update dash gauge
     if (this.config) {
@@ -1054,12 +1460,23 @@ class Game {
       }
 
       ui.updateDashGauge(dashCooldown, this.config.dashCooldown, dashStacks, this.config.maxDashStacks);
+
+      const me = this.isHost && this.gameHost
+        ? this.gameHost.players.get(this.localPlayerId)
+        : this.gameClient && this.gameClient.players.find(p => p.id === this.localPlayerId);
+      if (me) {
+        ui.updateHealthGauge(me.health, this.config.maxHealth, me.dead);
+      }
     }
 
     this.updateSpikeBalls();
     this.updateCamera();
     this.renderer.render(this.scene, this.camera);
     ui.updateFPS();
+    if (this.network) {
+      ui.updateNetStats(this.network);
+      ui.updateNetSim(this.network);
+    }
   }
 
   onWindowResize() {
@@ -1069,6 +1486,9 @@ class Game {
   }
 }
 
+// URL overrides an invite link carries over (see applyUrlOverrides in config.js)
+Game.INVITE_PARAMS = ['transport', 'peerHost', 'peerPort', 'peerPath', 'peerKey', 'peerSecure', 'stun', 'turn'];
+
 // Start game
 window.addEventListener('load', () => {
   new Game();
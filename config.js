@@ -1,8 +1,94 @@
 // Game configuration - centralized settings
 const CONFIG = {
-  // Server connection
+  // Signaling (PeerJS server) and ICE (STUN/TURN) servers
   server: {
-    url: window.location.origin
+    host: null,          // PeerJS server host - null uses the public PeerJS cloud
+    port: 443,
+    path: '/',
+    key: 'peerjs',
+    secure: true,
+    iceServers: [
+      { urls: 'stun:stun.l.google.com:19302' },
+      { urls: 'stun:stun1.l.google.com:19302' }
+      // TURN example: { urls: 'turn:turn.example.lan:3478', username: 'game', credential: 'secret' }
+    ]
+  },
+
+  // Wire protocol - bump the version whenever message shapes change, so
+  // peers running different builds refuse each other instead of misbehaving
+  protocol: {
+    version: 1,
+    features: [
+      'split-channels',     // Reliable + unreliable DataConnection per peer
+      'binary-snapshots',   // Delta-compressed gameState (snapshot-codec.js)
+      'resume-tokens',      // Reclaiming a dropped player's slot
+      'host-migration',
+      'sequence-numbers',   // Host tick on snapshots, sequence on inputs
+      'area-of-interest',   // Per-client snapshots of nearby players only
+      'spectators',         // Peers watching without a player
+      'prediction',         // Input commands, owner block in snapshots for reconciliation
+      'interpolation',      // Host physics tick on snapshots as the interpolation clock
+      'spike-balls',        // Thrown projectiles in snapshots
+      'health',             // Health, knockback and respawn state
+      'player-collision',   // Players are solid boxes (prediction must match)
+      'level-geometry',     // Boxes and ramps sent in init
+      'room-settings',      // Admission settings shared with host candidates
+      'held-entities'       // Snapshots list far players that were not refreshed
+    ]
+  },
+
+  // Networking
+  network: {
+    transport: 'peerjs',           // 'peerjs' (WebRTC), 'broadcast' (tabs on one machine) or 'loopback' (in-process)
+    broadcastChannel: 'multiplayer-world', // Channel name for the 'broadcast' transport
+    pingInterval: 1000,            // Heartbeat / RTT probe interval (ms)
+    pingBroadcastInterval: 2000,   // Host shares everyone's ping for the player list (ms)
+    handshakeTimeout: 5000,        // Host drops connections that do not say hello in time (ms)
+    joinApprovalTimeout: 120000,   // How long a knocking client waits for the host to decide (ms)
+    maxPlayers: 8,                 // Room capacity, host included
+
+    // Short room codes - the host registers prefix + code as its peer ID
+    roomCode: {
+      prefix: 'mpw-',          // Keeps our codes apart from other apps on the PeerJS cloud
+      length: 6,
+      alphabet: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789', // No 0/O, 1/I/L lookalikes
+      attempts: 5              // Codes tried before falling back to a random peer ID
+    },
+    hostTimeout: 10000,            // A silent host (or, on the host, a silent client) counts as gone after this long (ms)
+    migrationConnectTimeout: 5000, // Per-candidate connect timeout while electing a new host (ms)
+    migrationGracePeriod: 10000,   // New host keeps inherited players this long for them to reconnect (ms)
+    reconnectGracePeriod: 30000,   // Host keeps a dropped player's slot this long for it to resume (ms)
+    reconnectAttempts: 3,          // Client retries to the same host before electing a new one
+    reconnectDelay: 1000,          // Delay between reconnect attempts (ms)
+
+    // Area of interest - which players each client gets in its snapshots
+    interest: {
+      cellSize: 10,            // Spatial index cell size (world units)
+      nearRadius: 20,          // Full update rate within this distance
+      farRadius: 40,           // Reduced rate up to here, left out beyond
+      farUpdateInterval: 4     // Far players are refreshed every Nth tick
+    },
+
+    // Client-side prediction and server reconciliation
+    prediction: {
+      inputRedundancy: 5,      // Newest input commands repeated in every input packet
+      maxInputQueue: 8,        // Host: commands buffered per player before the oldest are dropped
+      correctionHalfLife: 100, // ms for a misprediction's visual offset to halve
+      snapDistance: 4          // Errors larger than this (units) snap instead of blending
+    },
+
+    // Snapshot interpolation for remote players
+    interpolation: {
+      delay: 100,              // Render this far behind the host (ms) - about two snapshots
+      maxExtrapolation: 250,   // Keep moving this long (ms) past the newest snapshot, then hold
+      bufferSize: 32,          // Snapshots kept per player
+      teleportDistance: 8      // Jumps further than this between snapshots (respawns) are not smoothed
+    },
+
+    // Lag compensation - the host judges a client's hits where it saw its targets
+    lagCompensation: {
+      maxRewind: 300           // Never rewind further back than this (ms)
+    }
   },
 
   // Camera settings
@@ -29,7 +115,8 @@ const CONFIG = {
     groundSize: 100,
     groundColor: 0x2d5016, // Dark green
     gridSize: 100,
-    gridDivisions: 100
+    gridDivisions: 100,
+    level: 'playground'    // Boxes and ramps the host loads (level.js) - also ?level=
   },
 
   // Player settings
@@ -51,6 +138,25 @@ const CONFIG = {
     }
   },
 
+  // Development aids
+  debug: {
+    // Logging (logger.js). Console levels: off, error, warn, info, debug.
+    log: {
+      level: 'off',
+      categories: {},      // Per-category console level, e.g. { net: 'debug' }
+      bufferLevel: 'info', // Entries kept for the downloadable bug report log
+      bufferSize: 500
+    },
+
+    // Network condition simulator (net-sim.js). latency / jitter in ms,
+    // loss / duplicate / reorder as 0-1 chances.
+    netSim: {
+      enabled: false,
+      outbound: { latency: 0, jitter: 0, loss: 0, duplicate: 0, reorder: 0 },
+      inbound: { latency: 0, jitter: 0, loss: 0, duplicate: 0, reorder: 0 }
+    }
+  },
+
   // Controls display
   controls: {
     keys: [
@@ -63,12 +169,89 @@ const CONFIG = {
       { key: 'P', action: 'Rotate Camera 90° ↺ (CCW)' },
       { key: 'O', action: 'Rotate Camera 90° ↻ (CW)' },
       { key: 'K', action: 'Throw Spike Ball' },
+      { key: 'Q / E', action: 'Spectator: Watch Previous / Next Player' },
+      { key: 'F', action: 'Spectator: Toggle Free Camera' },
       { key: 'Enter', action: 'Open/Send Chat' },
-      { key: 'C', action: 'Toggle Controls Panel' }
+      { key: 'C', action: 'Toggle Controls Panel' },
+      { key: 'N', action: 'Toggle Network Stats' },
+      { key: 'L', action: 'Toggle Network Simulator' }
     ]
   }
 };
 
+// Override settings through URL query parameters, so a self-hosted setup
+// needs no source changes:
+//   ?peerHost=192.168.0.10&peerPort=9000&peerPath=/myapp&peerKey=peerjs&peerSecure=false
+//   &stun=stun:192.168.0.10:3478
+//   &turn=turn:192.168.0.10:3478&turnUser=game&turnPass=secret
+//   &transport=broadcast
+//   &level=flat
+//   &simLatency=100&simJitter=20&simLoss=5&simInDuplicate=1&simOutReorder=3
+//   &log=info,net:debug
+// stun and turn take comma-separated lists and replace the configured ICE servers.
+// sim* parameters turn on the network simulator: without In / Out they set
+// both directions; loss, duplicate and reorder are in percent.
+// log sets the console log level, for everything or per category (category:level).
+function applyUrlOverrides(config, search) {
+  const params = new URLSearchParams(search);
+  const server = config.server;
+
+  if (params.has('peerHost')) server.host = params.get('peerHost');
+  if (params.has('peerPort')) server.port = parseInt(params.get('peerPort'), 10);
+  if (params.has('peerPath')) server.path = params.get('peerPath');
+  if (params.has('peerKey')) server.key = params.get('peerKey');
+  if (params.has('peerSecure')) server.secure = params.get('peerSecure') !== 'false';
+
+  if (params.has('stun') || params.has('turn')) {
+    const list = (name) => (params.get(name) || '').split(',').map(url => url.trim()).filter(Boolean);
+
+    server.iceServers = list('stun').map(url => ({ urls: url }));
+    list('turn').forEach(url => {
+      server.iceServers.push({
+        urls: url,
+        username: params.get('turnUser') || undefined,
+        credential: params.get('turnPass') || undefined
+      });
+    });
+  }
+
+  if (params.has('transport')) config.network.transport = params.get('transport');
+  if (params.has('level')) config.world.level = params.get('level');
+
+  if (params.has('log')) {
+    params.get('log').split(',').forEach(part => {
+      const [category, level] = part.split(':');
+      if (level) {
+        config.debug.log.categories[category] = level;
+      } else {
+        config.debug.log.level = category;
+      }
+    });
+  }
+
+  const netSim = config.debug.netSim;
+  const simFields = { Latency: 'latency', Jitter: 'jitter', Loss: 'loss', Duplicate: 'duplicate', Reorder: 'reorder' };
+  Object.keys(simFields).forEach(name => {
+    const field = simFields[name];
+    const isChance = field !== 'latency' && field !== 'jitter';
+
+    [['', ['outbound', 'inbound']], ['Out', ['outbound']], ['In', ['inbound']]].forEach(([prefix, directions]) => {
+      const param = 'sim' + prefix + name;
+      if (!params.has(param)) return;
+
+      const value = parseFloat(params.get(param)) || 0;
+      directions.forEach(direction => {
+        netSim[direction][field] = isChance ? value / 100 : value;
+      });
+      netSim.enabled = true;
+    });
+  });
+}
+
+if (typeof window !== 'undefined') {
+  applyUrlOverrides(CONFIG, window.location.search);
+}
+
 // Make config available globally
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = CONFIG;
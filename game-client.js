@@ -1,15 +1,39 @@
 // Client game logic - receives state from host and sends input
 class GameClient {
-  constructor(network, playerName = 'Player') {
+  // spectator: join without a player - watch only
+  constructor(network, playerName = 'Player', spectator = false) {
+    this.log = Logger.get('client');
     this.network = network;
     this.playerName = playerName;
-    this.players = [];
+    this.spectator = spectator;
+    this.players = []; // Players in the latest snapshot (only the ones relevant to us)
+    this.roster = new Map(); // playerId -> { id, name, color } for everyone in the room
+    this.spectators = new Map(); // peerId -> { id, name } watching the room
     this.localPlayerId = null;
     this.config = null;
+    this.level = null; // Level definition from init
+    this.levelObstacles = []; // Its boxes and ramps for prediction
 
-    // Client-side prediction
+    // Client-side prediction - same physics step and tick rate as the host
     this.localPlayer = null;
-    this.lastUpdateTime = Date.now();
+    this.stepper = null; // FixedStepper, once init brings the tick rate
+    this.localUpdateInterval = null;
+    this.pendingInputs = []; // { seq, input } commands the host has not simulated yet
+    this.renderOffset = { x: 0, y: 0, z: 0 }; // Misprediction being blended out of the view
+    this.viewClock = null; // () => host time on screen for other players, for lag compensation
+
+    // Binary delta snapshots
+    this.snapshotDecoder = new SnapshotDecoder();
+
+    // Reconnect / host migration
+    this.resumeToken = null;
+    this.migrating = false;
+    this.kicked = false; // Removed by the host - do not resume or migrate
+    this.roomSettings = null; // Host's admission settings, kept in case we take over
+
+    // Sequencing - drop snapshots older than the newest one applied
+    this.inputSeq = 0;
+    this.lastSnapshotTick = 0;
 
     // Callbacks
     this.callbacks = {
@@ -17,7 +41,16 @@ class GameClient {
       onGameState: null,
       onPlayerJoined: null,
       onPlayerLeft: null,
-      onChatMessage: null
+      onChatMessage: null,
+      onPings: null,
+      onSpectatorsChanged: null,
+      onReconnecting: null,
+      onReconnected: null,
+      onHostMigrating: null,
+      onHostMigrated: null,
+      onBecomeHost: null,
+      onConnectionLost: null,
+      onKicked: null
     };
 
     this.setupNetworking();
@@ -25,32 +58,67 @@ class GameClient {
   }
 
   setupNetworking() {
+    // Losing the host connection starts a host migration
+    this.network.onDisconnect((peerId) => {
+      if (peerId === this.network.roomId) {
+        this.handleHostLost(peerId);
+      }
+    });
+
     this.network.onData((peerId, data) => {
-      // Only log non-gameState messages
-      if (data.type !== 'gameState') {
-        console.log('📦 CLIENT: Received data:', data.type, data);
+      // Game state arrives as binary delta snapshots
+      if (SnapshotDecoder.isSnapshot(data)) {
+        this.handleSnapshot(data);
+        return;
       }
+
+      this.log.debug('Received data:', data.type, data);
       switch (data.type) {
         case 'init':
-          console.log('🎮 CLIENT: Received init data', data);
+          this.log.debug('Received init data', data);
+          // Fresh connection - the host starts over with full snapshots
+          // and its own tick count
+          this.snapshotDecoder = new SnapshotDecoder();
+          this.lastSnapshotTick = 0;
           this.localPlayerId = data.localPlayerId;
           this.config = data.config;
+          this.stepper = new FixedStepper(data.config.tickRate);
+          this.level = data.level || null;
+          this.levelObstacles = Level.obstacles(this.level);
+          this.pendingInputs = [];
+          this.renderOffset = { x: 0, y: 0, z: 0 };
           this.players = data.players;
+          this.roster.clear();
+          data.players.forEach(player => this.updateRoster(player));
+          this.spectators = new Map((data.spectators || []).map(s => [s.id, s]));
+          this.notifySpectatorsChanged();
+
+          // Keep the resume token so a dropped connection or a page refresh
+          // can reclaim this player
+          if (data.resumeToken) {
+            this.resumeToken = data.resumeToken;
+            sessionStorage.setItem(GameClient.resumeTokenKey(this.network.roomId), data.resumeToken);
+          }
 
-          // Initialize local player state for prediction
+          // Initialize local player state for prediction (spectators have none)
           const myPlayer = data.players.find(p => p.id === this.localPlayerId);
-          if (myPlayer) {
+          if (this.spectator) {
+            this.log.info('Joined as spectator');
+          } else if (myPlayer) {
             this.localPlayer = {
               position: { ...myPlayer.position },
               velocity: { x: 0, y: 0, z: 0 },
               rotation: myPlayer.rotation,
               isGrounded: true,
               jumpCount: 0,
+              jumpHeld: false,
               isDashing: false,
               dashTimer: 0,
               dashCooldownTimer: 0,
               dashStacks: 3,
-              dashDirection: { x: 0, z: 0 }
+              dashDirection: { x: 0, z: 0 },
+              knockback: { x: 0, z: 0 },
+              dead: false
             };
             this.lastInput = {
               forward: false,
@@ -58,16 +126,16 @@ class GameClient {
               left: false,
               right: false,
               jump: false,
-              jumpPressed: false,
               dash: false,
+              throw: false,
               cameraYaw: 0
             };
-            console.log('✅ CLIENT: Local player state initialized for prediction', this.localPlayer);
+            this.log.debug('Local player state initialized for prediction', this.localPlayer);
           } else {
-            console.error('❌ CLIENT: Could not find my player in init data!');
+            this.log.error('Could not find my player in init data!');
           }
 
-          console.log('📋 CLIENT: Players from init:', this.players);
+          this.log.debug('Players from init:', this.players);
 
           // Send player name to host
           this.network.sendToHost({
@@ -76,194 +144,369 @@ class GameClient {
           });
 
           if (this.callbacks.onInit) {
-            console.log('✅ CLIENT: Calling onInit callback');
+            this.log.debug('Calling onInit callback');
             this.callbacks.onInit({
               localPlayerId: data.localPlayerId,
+              spectator: !!data.spectator,
               config: data.config,
+              level: this.level,
               players: data.players
             });
           } else {
-            console.log('❌ CLIENT: No onInit callback set!');
-          }
-          break;
-
-        case 'gameState':
-          this.players = data.players;
-
-          // No server reconciliation - client is fully independent
-
-          if (this.callbacks.onGameState) {
-            this.callbacks.onGameState(data.players);
+            this.log.warn('No onInit callback set!');
           }
           break;
 
         case 'playerJoined':
-          console.log('🎮 CLIENT: Player joined:', data.player.id);
+          this.log.info('Player joined:', data.player.id);
+          this.updateRoster(data.player);
           if (this.callbacks.onPlayerJoined) {
             this.callbacks.onPlayerJoined(data.player);
           }
           break;
 
         case 'playerLeft':
-          console.log('🎮 CLIENT: Player left:', data.playerId);
+          this.log.info('Player left:', data.playerId);
+          this.roster.delete(data.playerId);
           if (this.callbacks.onPlayerLeft) {
             this.callbacks.onPlayerLeft(data.playerId);
           }
           break;
 
+        case 'spectatorJoined':
+          this.spectators.set(data.spectator.id, data.spectator);
+          this.notifySpectatorsChanged();
+          break;
+
+        case 'spectatorLeft':
+          this.spectators.delete(data.spectatorId);
+          this.notifySpectatorsChanged();
+          break;
+
         case 'chat':
-          console.log('💬 CLIENT: Received chat from', data.playerId, ':', data.message);
+          this.log.debug('Received chat from', data.playerId, ':', data.message);
           if (this.callbacks.onChatMessage) {
             this.callbacks.onChatMessage(data);
           }
           break;
+
+        case 'reject':
+          // Kicked or banned after joining
+          this.log.info('Removed from the room:', data.reason);
+          this.kicked = true;
+          sessionStorage.removeItem(GameClient.resumeTokenKey(this.network.roomId));
+          if (this.callbacks.onKicked) {
+            this.callbacks.onKicked(data.reason);
+          }
+          break;
+
+        case 'roomSettings':
+          this.roomSettings = data.settings;
+          break;
+
+        case 'pings':
+          // The host cannot measure itself - use our own RTT to it
+          data.pings[this.network.roomId] = this.network.stats.getRtt(this.network.roomId);
+          if (this.callbacks.onPings) {
+            this.callbacks.onPings(data.pings);
+          }
+          break;
       }
     });
   }
 
-  sendInput(input) {
-    // Store input for client-side prediction
-    this.lastInput = input;
+  handleSnapshot(buffer) {
+    // Snapshots and init travel on different channels - one can overtake
+    // init, and there is no tick rate or local player to apply it to yet
+    if (!this.config) return;
+
+    // Snapshots travel unreliably - never apply one older than what we have
+    const tick = SnapshotDecoder.peekTick(buffer);
+    if (tick <= this.lastSnapshotTick) {
+      this.network.stats.recordDropped(this.network.roomId, tick === this.lastSnapshotTick ? 'duplicate' : 'stale');
+      return;
+    }
+
+    const snapshot = this.snapshotDecoder.decode(buffer);
+    if (!snapshot) {
+      // Encoded against a state we do not have - ask for a full snapshot
+      this.network.sendToHost({ type: 'snapshotAck', tick: 0 });
+      return;
+    }
+    this.lastSnapshotTick = snapshot.tick;
 
-    // Send to host (P2P)
-    console.log('📤 CLIENT: Sending input to host:', input);
+    // Acknowledge so the host can encode the next snapshots against this one
     this.network.sendToHost({
-      type: 'input',
-      input: input
+      type: 'snapshotAck',
+      tick: snapshot.tick
     });
+
+    // Players far away are left out - that is not them leaving the room
+    this.players = snapshot.players;
+    this.players.forEach(player => this.updateRoster(player));
+
+    if (snapshot.owner && this.localPlayer) {
+      this.reconcile(snapshot.owner);
+    }
+
+    // Along with the snapshot's host time, for interpolation
+    if (this.callbacks.onGameState) {
+      this.callbacks.onGameState(snapshot.players, snapshot.simTick * 1000 / this.config.tickRate, snapshot.projectiles);
+    }
   }
 
-  startLocalUpdate() {
-    // Update local player at 60 FPS for smooth prediction
-    this.lastUpdateTime = Date.now();
-    setInterval(() => {
-      if (this.lastInput && this.localPlayer && this.config) {
-        const now = Date.now();
-        const dt = (now - this.lastUpdateTime) / 1000;
-        this.lastUpdateTime = now;
-        this.updateLocalPlayer(this.lastInput, dt);
-      }
-    }, 1000 / 60);
+  // Rewind our player to the host's state and replay the input commands
+  // the host has not simulated yet. Whatever moved on screen is kept as a
+  // render offset that fades out, so a correction does not jump.
+  reconcile(owner) {
+    this.pendingInputs = this.pendingInputs.filter(command => command.seq > owner.inputSeq);
+
+    const before = { ...this.localPlayer.position };
+    Object.assign(this.localPlayer, owner.state);
+    const obstacles = this.getObstacles();
+    this.pendingInputs.forEach(command => Physics.step(this.localPlayer, command.input, this.config, obstacles));
+
+    const error = {
+      x: before.x - this.localPlayer.position.x,
+      y: before.y - this.localPlayer.position.y,
+      z: before.z - this.localPlayer.position.z
+    };
+    const distance = Math.sqrt(error.x * error.x + error.y * error.y + error.z * error.z);
+    if (distance === 0) return;
+
+    if (distance > CONFIG.network.prediction.snapDistance) {
+      this.log.info('Prediction off by', distance.toFixed(2), '- snapping');
+      this.renderOffset = { x: 0, y: 0, z: 0 };
+    } else {
+      this.log.debug('Prediction off by', distance.toFixed(3));
+      this.renderOffset.x += error.x;
+      this.renderOffset.y += error.y;
+      this.renderOffset.z += error.z;
+    }
   }
 
-  updateLocalPlayer(input, dt) {
-    // Update dash cooldown and stacks
-    if (this.localPlayer.dashCooldownTimer > 0) {
-      this.localPlayer.dashCooldownTimer -= dt;
-      if (this.localPlayer.dashCooldownTimer <= 0) {
-        this.localPlayer.dashCooldownTimer = 0;
-        // Gain a stack when cooldown finishes
-        if (this.localPlayer.dashStacks < this.config.maxDashStacks) {
-          this.localPlayer.dashStacks++;
-          // Start next cooldown if not at max stacks
-          if (this.localPlayer.dashStacks < this.config.maxDashStacks) {
-            this.localPlayer.dashCooldownTimer = this.config.dashCooldown;
-          }
-        }
-      }
+  notifySpectatorsChanged() {
+    if (this.callbacks.onSpectatorsChanged) {
+      this.callbacks.onSpectatorsChanged(Array.from(this.spectators.values()));
     }
+  }
 
-    // Update dash timer
-    if (this.localPlayer.isDashing) {
-      this.localPlayer.dashTimer -= dt;
-      if (this.localPlayer.dashTimer <= 0) {
-        this.localPlayer.isDashing = false;
-      }
+  // Extra hello fields when reconnecting or following a new host: our resume
+  // token, so the host hands our player back, or that we are a spectator
+  helloExtras() {
+    if (this.spectator) {
+      return { spectator: true, name: this.playerName };
     }
+    return this.resumeToken ? { resumeToken: this.resumeToken } : {};
+  }
 
-    // Same physics as server
-    let moveX = 0;
-    let moveZ = 0;
+  updateRoster(player) {
+    this.roster.set(player.id, {
+      id: player.id,
+      name: player.name,
+      color: player.color
+    });
+  }
+
+  // sessionStorage key for a room's resume token
+  static resumeTokenKey(roomId) {
+    return 'resumeToken:' + roomId;
+  }
 
-    if (input.forward) moveZ -= 1;
-    if (input.backward) moveZ += 1;
-    if (input.left) moveX -= 1;
-    if (input.right) moveX += 1;
+  async handleHostLost(oldHostId) {
+    if (this.migrating || this.kicked || !this.localPlayerId) return;
+    this.migrating = true;
 
-    // Normalize
-    const length = Math.sqrt(moveX * moveX + moveZ * moveZ);
-    if (length > 0) {
-      moveX /= length;
-      moveZ /= length;
+    // Our own link may have dropped while the host is still there - try to
+    // resume our slot before assuming the host is gone
+    if (await this.tryResume(oldHostId)) {
+      this.migrating = false;
+      return;
     }
 
-    // Rotate by camera yaw
-    const yaw = input.cameraYaw || 0;
-    const rotatedX = moveX * Math.cos(-yaw) - moveZ * Math.sin(-yaw);
-    const rotatedZ = moveX * Math.sin(-yaw) + moveZ * Math.cos(-yaw);
-
-    // Dash - consume stack
-    if (input.dash && !this.localPlayer.isDashing && this.localPlayer.dashStacks > 0 && (rotatedX !== 0 || rotatedZ !== 0)) {
-      this.localPlayer.isDashing = true;
-      this.localPlayer.dashTimer = this.config.dashDuration;
-      this.localPlayer.dashStacks--;
-      this.localPlayer.dashDirection.x = rotatedX;
-      this.localPlayer.dashDirection.z = rotatedZ;
-
-      // Start cooldown if not already running
-      if (this.localPlayer.dashCooldownTimer <= 0) {
-        this.localPlayer.dashCooldownTimer = this.config.dashCooldown;
+    await this.electNewHost(oldHostId);
+    this.migrating = false;
+  }
+
+  async tryResume(hostId) {
+    if (this.callbacks.onReconnecting) {
+      this.callbacks.onReconnecting();
+    }
+
+    for (let attempt = 1; attempt <= CONFIG.network.reconnectAttempts; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, CONFIG.network.reconnectDelay));
+      this.network.reconnectSignaling();
+
+      try {
+        this.log.info('Reconnect attempt', attempt, 'to', hostId);
+        await this.network.joinRoom(hostId, CONFIG.network.migrationConnectTimeout, this.helloExtras());
+        this.log.info('Reconnected to host');
+        if (this.callbacks.onReconnected) {
+          this.callbacks.onReconnected();
+        }
+        return true;
+      } catch (error) {
+        this.log.warn('Reconnect attempt failed:', error.message);
+        // The host is gone for good, no point in retrying
+        if (error.type === 'peer-unavailable') {
+          return false;
+        }
       }
     }
+    return false;
+  }
 
-    // Apply movement
-    if (this.localPlayer.isDashing) {
-      this.localPlayer.velocity.x = this.localPlayer.dashDirection.x * this.config.dashSpeed;
-      this.localPlayer.velocity.z = this.localPlayer.dashDirection.z * this.config.dashSpeed;
-    } else {
-      this.localPlayer.velocity.x = rotatedX * this.config.moveSpeed;
-      this.localPlayer.velocity.z = rotatedZ * this.config.moveSpeed;
+  async electNewHost(oldHostId) {
+    this.log.info('Host lost, electing a new host:', oldHostId);
+    if (this.callbacks.onHostMigrating) {
+      this.callbacks.onHostMigrating(oldHostId);
     }
 
-    // Double Jump - trigger on key press (not hold)
-    if (input.jump && !input.jumpPressed) {
-      if (this.localPlayer.isGrounded) {
-        this.localPlayer.velocity.y = this.config.jumpPower;
-        this.localPlayer.isGrounded = false;
-        this.localPlayer.jumpCount = 1;
-        input.jumpPressed = true;
-      } else if (this.localPlayer.jumpCount === 1) {
-        this.localPlayer.velocity.y = this.config.jumpPower;
-        this.localPlayer.jumpCount = 2;
-        input.jumpPressed = true;
-      }
-    } else if (!input.jump) {
-      input.jumpPressed = false;
+    // The old host's player leaves with it
+    this.roster.delete(oldHostId);
+    if (this.callbacks.onPlayerLeft) {
+      this.callbacks.onPlayerLeft(oldHostId);
     }
 
-    // Gravity
-    if (!this.localPlayer.isGrounded) {
-      this.localPlayer.velocity.y -= this.config.gravity * dt;
+    // Everyone in the room, with the last known state for those we could see
+    // and our own predicted state being the freshest
+    const known = new Map(this.players.map(p => [p.id, p]));
+    const snapshot = Array.from(this.roster.values()).map(entry => {
+      const p = { ...entry, ...known.get(entry.id) };
+      if (p.id === this.localPlayerId && this.localPlayer) {
+        return {
+          ...p,
+          position: { ...this.localPlayer.position },
+          rotation: this.localPlayer.rotation,
+          dashCooldownTimer: this.localPlayer.dashCooldownTimer,
+          dashStacks: this.localPlayer.dashStacks
+        };
+      }
+      return p;
+    });
+    this.players = snapshot.filter(p => p.position);
+
+    // Every peer runs the same election over the same roster (it comes from
+    // the reliable join/leave messages, not from area-of-interest snapshots):
+    // candidates in peer ID order, the first reachable one becomes host
+    const candidates = snapshot.map(p => p.id).sort();
+
+    for (const candidateId of candidates) {
+      if (candidateId === this.localPlayerId) {
+        this.log.info('Elected as the new host');
+        if (this.callbacks.onBecomeHost) {
+          this.callbacks.onBecomeHost(snapshot, this.roomSettings);
+        }
+        return;
+      }
+
+      try {
+        this.log.info('Trying new host candidate:', candidateId);
+        await this.network.joinRoom(candidateId, CONFIG.network.migrationConnectTimeout, this.helloExtras());
+        this.log.info('Following new host:', candidateId);
+        if (this.callbacks.onHostMigrated) {
+          this.callbacks.onHostMigrated(candidateId);
+        }
+        return;
+      } catch (error) {
+        this.log.warn('Host candidate unreachable:', candidateId, error.message);
+      }
     }
 
-    // Update position
-    this.localPlayer.position.x += this.localPlayer.velocity.x * dt;
-    this.localPlayer.position.y += this.localPlayer.velocity.y * dt;
-    this.localPlayer.position.z += this.localPlayer.velocity.z * dt;
-
-    // Ground collision
-    if (this.localPlayer.position.y <= this.config.groundLevel) {
-      this.localPlayer.position.y = this.config.groundLevel;
-      this.localPlayer.velocity.y = 0;
-      this.localPlayer.isGrounded = true;
-      this.localPlayer.jumpCount = 0;
+    this.log.error('No host candidate reachable');
+    if (this.callbacks.onConnectionLost) {
+      this.callbacks.onConnectionLost();
     }
+  }
+
+  sendInput(input) {
+    // Spectators have nothing to steer
+    if (this.spectator) return;
 
-    // World boundaries
-    const half = this.config.worldSize / 2;
-    this.localPlayer.position.x = Math.max(-half, Math.min(half, this.localPlayer.position.x));
-    this.localPlayer.position.z = Math.max(-half, Math.min(half, this.localPlayer.position.z));
+    // Sampled once per physics tick into an input command
+    this.lastInput = input;
+  }
 
-    // Update rotation
-    if (rotatedX !== 0 || rotatedZ !== 0) {
-      this.localPlayer.rotation = Math.atan2(rotatedX, rotatedZ);
+  startLocalUpdate() {
+    // Check about every frame and run the physics ticks that are due
+    this.localUpdateInterval = setInterval(() => {
+      if (this.lastInput && this.localPlayer && this.stepper) {
+        const steps = this.stepper.advance(Date.now(), () => this.predictTick());
+        if (steps > 0 && !this.migrating) {
+          this.sendInputCommands();
+        }
+      }
+    }, 1000 / 60);
+  }
+
+  // One tick of prediction - the command is kept until the host has run it
+  predictTick() {
+    const command = { seq: ++this.inputSeq, input: { ...this.lastInput } };
+    const viewTime = this.viewClock ? this.viewClock() : null;
+    if (viewTime !== null) {
+      command.viewTime = Math.round(viewTime);
+    }
+    this.pendingInputs.push(command);
+
+    // A host that stopped answering cannot leave us replaying forever
+    const maxPending = this.config.tickRate * 2;
+    if (this.pendingInputs.length > maxPending) {
+      this.pendingInputs.splice(0, this.pendingInputs.length - maxPending);
     }
+
+    Physics.step(this.localPlayer, command.input, this.config, this.getObstacles());
+
+    const fade = Math.pow(0.5, this.stepper.tickDuration / CONFIG.network.prediction.correctionHalfLife);
+    this.renderOffset.x *= fade;
+    this.renderOffset.y *= fade;
+    this.renderOffset.z *= fade;
+  }
+
+  // Other players from the latest snapshot as solid boxes, then the level.
+  // Players are a bit behind the host's present, so contacts with them are
+  // only a good guess - the next reconcile settles them.
+  getObstacles() {
+    return this.players
+      .filter(player => player.id !== this.localPlayerId && !player.dead)
+      .map(player => Physics.bodyBox(player))
+      .concat(this.levelObstacles);
+  }
+
+  // Inputs travel unreliably - every packet repeats the newest few commands,
+  // so a lost packet costs nothing as long as the next one arrives
+  sendInputCommands() {
+    this.network.sendToHost({
+      type: 'input',
+      commands: this.pendingInputs.slice(-CONFIG.network.prediction.inputRedundancy)
+    });
+  }
+
+  // The renderer knows how far behind the host other players are drawn
+  setViewClock(viewClock) {
+    this.viewClock = viewClock;
   }
 
   getLocalPlayerState() {
     return this.localPlayer;
   }
 
+  // Where to draw our player - the prediction plus the fading correction
+  getLocalRenderPosition() {
+    if (!this.localPlayer) return null;
+    return {
+      x: this.localPlayer.position.x + this.renderOffset.x,
+      y: this.localPlayer.position.y + this.renderOffset.y,
+      z: this.localPlayer.position.z + this.renderOffset.z
+    };
+  }
+
+  stop() {
+    if (this.localUpdateInterval) {
+      clearInterval(this.localUpdateInterval);
+      this.localUpdateInterval = null;
+    }
+  }
+
   // Set callbacks
   onInit(callback) {
     this.callbacks.onInit = callback;
@@ -285,6 +528,55 @@ class GameClient {
     this.callbacks.onChatMessage = callback;
   }
 
+  onPings(callback) {
+    this.callbacks.onPings = callback;
+  }
+
+  onSpectatorsChanged(callback) {
+    this.callbacks.onSpectatorsChanged = callback;
+  }
+
+  onReconnecting(callback) {
+    this.callbacks.onReconnecting = callback;
+  }
+
+  onReconnected(callback) {
+    this.callbacks.onReconnected = callback;
+  }
+
+  onHostMigrating(callback) {
+    this.callbacks.onHostMigrating = callback;
+  }
+
+  onHostMigrated(callback) {
+    this.callbacks.onHostMigrated = callback;
+  }
+
+  onBecomeHost(callback) {
+    this.callbacks.onBecomeHost = callback;
+  }
+
+  onConnectionLost(callback) {
+    this.callbacks.onConnectionLost = callback;
+  }
+
+  onKicked(callback) {
+    this.callbacks.onKicked = callback;
+  }
+
+  // Random ID kept in localStorage so the host can recognize this browser
+  // across peer IDs (used for bans)
+  static getIdentity() {
+    let identity = localStorage.getItem('playerIdentity');
+    if (!identity) {
+      const bytes = new Uint8Array(16);
+      crypto.getRandomValues(bytes);
+      identity = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+      localStorage.setItem('playerIdentity', identity);
+    }
+    return identity;
+  }
+
   sendChatMessage(chatData) {
     // Send chat message to host
     this.network.sendToHost({
@@ -1,13 +1,59 @@
 // Host game logic - runs the authoritative game simulation
 class GameHost {
-  constructor(network, hostName = 'Host') {
+  // seedPlayers: last gameState snapshot when taking over after a host migration
+  // seedLevel: the previous host's level, so the room keeps playing on it
+  constructor(network, hostName = 'Host', seedPlayers = null, seedLevel = null) {
+    this.log = Logger.get('host');
     this.network = network;
     this.hostName = hostName;
     this.players = new Map(); // peerId -> player state
     this.inputs = new Map(); // peerId -> current input
 
-    // Game config
+    // Reconnect / resume
+    this.resumeTokens = new Map(); // peerId -> resume token
+    this.disconnectedPlayers = new Map(); // peerId -> grace period timeout (slot kept for reconnect)
+
+    // Binary delta snapshots
+    this.snapshotEncoders = new Map(); // peerId -> SnapshotEncoder
+    this.nextNetId = 1; // Compact per-session entity IDs used on the wire
+
+    // Sequencing - snapshots carry the host tick, inputs a client sequence number
+    this.tick = 0;
+    this.lastInputSeqs = new Map(); // peerId -> newest input sequence received
+
+    // Input commands - clients send one per physics tick, the host runs them
+    // one per tick and echoes the last one it ran for reconciliation
+    this.inputQueues = new Map(); // peerId -> [{ seq, input }] waiting to be simulated
+    this.processedInputSeqs = new Map(); // peerId -> sequence of the last command simulated
+
+    // Lag compensation - where everyone was over the last few hundred ms
+    this.history = new StateHistory(CONFIG.network.lagCompensation.maxRewind);
+    this.viewTimes = new Map(); // peerId -> host time its latest simulated command was aimed at
+
+    // Static level geometry - sent to clients in init, collided with every tick
+    this.level = seedLevel || Level.load(CONFIG.world.level);
+    this.levelObstacles = Level.obstacles(this.level);
+
+    // Area of interest - rebuilt every tick from player positions
+    this.spatialGrid = new SpatialGrid(CONFIG.network.interest.cellSize);
+
+    // Admission
+    this.roomPassword = null; // null = open room
+    this.knockToJoin = false; // Host approves every new player by hand
+    this.joinRequests = new Map(); // peerId -> { peerId, name } waiting for approval
+    this.maxPlayers = CONFIG.network.maxPlayers;
+    this.identities = new Map(); // peerId -> persistent identity the client sent in its hello
+    this.bannedPeers = new Set(); // Bans last for this session
+    this.bannedIdentities = new Set();
+    this.returningSpectators = new Set(); // Spectators of the previous host, let back in after a migration
+
+    // Spectators - connected peers without a player in the simulation
+    this.spectators = new Map(); // peerId -> { id, name }
+    this.spectatorRequests = new Map(); // peerId -> name, for peers whose hello asked to spectate
+
+    // Game config (sent to clients - the physics step needs the same values)
     this.config = {
+      tickRate: 60, // Physics ticks per second
       moveSpeed: 8,
       jumpPower: 8,
       gravity: 20,
@@ -16,54 +62,135 @@ class GameHost {
       dashSpeed: 25,
       dashDuration: 0.25,
       dashCooldown: 2.0,
-      maxDashStacks: 3
+      maxDashStacks: 3,
+      spikeBallSpeed: 30, // Units per second, out and back
+      spikeBallRange: 20, // Flies this far before it turns around
+      spikeBallCatchDistance: 1, // Back in hand within this distance of the thrower
+      spikeBallHitRadius: 0.8, // Ball center to player center, per axis
+      spikeBallDamage: 25,
+      spikeBallKnockback: 14, // Horizontal speed given to whoever is hit
+      dashHitDamage: 15, // Running into someone while dashing
+      dashKnockback: 18,
+      knockbackLift: 4, // Upward speed on any hit
+      knockbackDecay: 6, // Knockback fades by this fraction per second
+      dashShove: true, // Dashing into a player pushes them and ends the dash
+      dashShoveTransfer: 0.6, // Share of the dash speed handed over
+      maxHealth: 100,
+      invulnerabilityTime: 1.0, // Seconds without damage after a hit or a respawn
+      respawnTime: 3.0
     };
 
-    this.lastUpdate = Date.now();
+    // Spike balls in flight - one per player at most
+    this.spikeBalls = new Map(); // peerId -> { ownerId, netId, position, direction, distanceTraveled, returning, rewind, hits }
+    this.dashHits = new Map(); // peerId -> Set of players already hit by the current dash
+
+    this.stepper = new FixedStepper(this.config.tickRate);
+    this.simTick = 0; // Physics ticks run so far
     this.updateInterval = null;
+    this.pingBroadcastInterval = null;
 
     // Callbacks for rendering
     this.onPlayerAddedCallback = null;
     this.onPlayerRemovedCallback = null;
     this.onChatMessageCallback = null;
+    this.onPingsCallback = null;
+    this.onJoinRequestsChangedCallback = null;
+    this.onSpectatorsChangedCallback = null;
+    this.onStateCallback = null;
+
+    if (seedPlayers) {
+      this.seedFromSnapshot(seedPlayers);
+    }
 
     this.setupNetworking();
   }
 
+  // Restore players from the previous host's last snapshot, keeping names,
+  // colors and positions. They stay in the world until they reconnect or
+  // the migration grace period runs out.
+  seedFromSnapshot(seedPlayers) {
+    this.log.info('Seeding', seedPlayers.length, 'players from previous host snapshot');
+
+    seedPlayers.forEach(seed => {
+      this.players.set(seed.id, this.createPlayerState(seed.id, seed));
+      this.inputs.set(seed.id, this.createInputState());
+
+      if (seed.id !== this.network.peerId) {
+        this.suspendPlayer(seed.id, CONFIG.network.migrationGracePeriod);
+      }
+    });
+  }
+
   setupNetworking() {
+    // A compatible client wants in - check password and approval first
+    this.network.onJoinRequest((peerId, hello) => {
+      this.handleJoinRequest(peerId, hello);
+    });
+
+    this.network.onJoinRequestCancelled((peerId) => {
+      this.spectatorRequests.delete(peerId);
+      if (this.joinRequests.delete(peerId)) {
+        this.log.info('Join request withdrawn:', peerId);
+        this.notifyJoinRequestsChanged();
+      }
+    });
+
     // When a client connects
-    this.network.onConnect((peerId) => {
-      console.log('🎮 HOST: Player connected:', peerId);
+    this.network.onConnect((peerId, hello) => {
+      this.log.info('Player connected:', peerId);
+      if (this.spectatorRequests.has(peerId)) {
+        this.addSpectator(peerId, this.spectatorRequests.get(peerId));
+        return;
+      }
+
+      const resumeToken = hello.resumeToken;
+      const resumed = resumeToken ? this.resumePlayer(peerId, resumeToken) : false;
+
+      // The slot it was let in to reclaim may be gone by now (grace period
+      // over, taken by another tab) - a new player has to fit in the room
+      if (!resumed && !this.players.has(peerId) && this.isFull()) {
+        this.log.info('No room for', peerId, '- its old slot is gone');
+        this.network.rejectPeer(peerId, 'Room is full');
+        return;
+      }
       this.addPlayer(peerId);
     });
 
-    // When a client disconnects
+    // When a client disconnects - keep the slot for a while so it can resume
     this.network.onDisconnect((peerId) => {
-      console.log('🎮 HOST: Player disconnected:', peerId);
-      this.removePlayer(peerId);
+      this.log.info('Player disconnected:', peerId);
+      if (this.spectators.has(peerId)) {
+        this.removeSpectator(peerId);
+      } else if (this.players.has(peerId)) {
+        this.suspendPlayer(peerId, CONFIG.network.reconnectGracePeriod);
+      }
     });
 
     // When receiving data from clients
     this.network.onData((peerId, data) => {
       if (data.type === 'input') {
-        // Update player input
-        const input = this.inputs.get(peerId);
-        if (input) {
-          Object.assign(input, data.input);
-          console.log('🎮 HOST: Received input from', peerId, ':', data.input);
-        } else {
-          console.warn('⚠️ HOST: No input object for peer', peerId);
+        this.queueInputCommands(peerId, data.commands);
+      } else if (data.type === 'snapshotAck') {
+        // Client decoded this snapshot - it becomes the delta baseline
+        const encoder = this.snapshotEncoders.get(peerId);
+        if (encoder) {
+          encoder.ack(data.tick);
         }
       } else if (data.type === 'playerInfo') {
         // Update player name
         const player = this.players.get(peerId);
+        const spectator = this.spectators.get(peerId);
         if (player) {
           player.name = data.name;
-          console.log('📝 Updated player name:', peerId, data.name);
+          this.log.info('Updated player name:', peerId, data.name);
+        } else if (spectator) {
+          spectator.name = data.name;
+          this.network.send({ type: 'spectatorJoined', spectator: spectator });
+          this.notifySpectatorsChanged();
         }
       } else if (data.type === 'chat') {
         // Broadcast chat message to all clients
-        console.log('💬 HOST: Received chat from', peerId, ':', data.message);
+        this.log.debug('Received chat from', peerId, ':', data.message);
         this.network.send({
           type: 'chat',
           playerId: data.playerId,
@@ -80,18 +207,32 @@ class GameHost {
   }
 
   start() {
-    console.log('🎮 HOST: Starting game');
+    this.log.info('Starting game');
 
     // Add host player
     this.addPlayer(this.network.peerId);
 
-    // Start game loop at 20 Hz (20 updates/sec)
-    // This reduces network load significantly
+    // Peers that connected before we took over as host
+    this.network.connections.forEach((conn, peerId) => {
+      if (this.spectators.has(peerId)) return;
+      if (!this.players.has(peerId) || this.disconnectedPlayers.has(peerId)) {
+        this.addPlayer(peerId);
+      }
+    });
+
+    // Game loop at 20 Hz: catches the physics up to real time at its fixed
+    // tick rate, then sends snapshots. 20 network updates per second keep
+    // the network load down.
     this.updateInterval = setInterval(() => {
       this.update();
     }, 1000 / 20);
 
-    console.log('🎮 HOST: Game loop running at 20 Hz (network updates)');
+    this.log.info('Game loop running at 20 Hz, physics at', this.config.tickRate, 'Hz');
+
+    // Share everyone's ping so clients can show it in the player list
+    this.pingBroadcastInterval = setInterval(() => {
+      this.broadcastPings();
+    }, CONFIG.network.pingBroadcastInterval);
 
     return {
       localPlayerId: this.network.peerId,
@@ -101,37 +242,34 @@ class GameHost {
   }
 
   addPlayer(peerId) {
-    console.log('➕ Adding player:', peerId);
-
-    const player = {
-      id: peerId,
-      name: peerId === this.network.peerId ? this.hostName : 'Player',
-      position: { x: 0, y: this.config.groundLevel, z: 0 },
-      velocity: { x: 0, y: 0, z: 0 },
-      rotation: 0,
-      color: this.randomColor(),
-      isGrounded: true,
-      jumpCount: 0,
-      isDashing: false,
-      dashTimer: 0,
-      dashCooldownTimer: 0,
-      dashStacks: 3,
-      dashDirection: { x: 0, z: 0 }
-    };
+    // Players reclaiming a kept slot (reconnect, host migration) keep their state
+    let player = this.players.get(peerId);
+    if (player) {
+      this.log.info('Restoring player:', peerId);
+      clearTimeout(this.disconnectedPlayers.get(peerId));
+      this.disconnectedPlayers.delete(peerId);
+    } else {
+      this.log.info('Adding player:', peerId);
+      player = this.createPlayerState(peerId);
+      const spawn = this.findSpawnPoint(player);
+      player.position.x = spawn.x;
+      player.position.z = spawn.z;
+      this.players.set(peerId, player);
+    }
 
-    this.players.set(peerId, player);
-    this.inputs.set(peerId, {
-      forward: false,
-      backward: false,
-      left: false,
-      right: false,
-      jump: false,
-      jumpPressed: false,
-      dash: false,
-      cameraYaw: 0
-    });
+    if (peerId === this.network.peerId) {
+      player.name = this.hostName;
+    } else {
+      if (!this.resumeTokens.has(peerId)) {
+        this.resumeTokens.set(peerId, this.generateResumeToken());
+      }
+      // New connection, new decoder on the other end - start from a full snapshot
+      this.snapshotEncoders.set(peerId, new SnapshotEncoder());
+    }
+    this.inputs.set(peerId, this.createInputState());
+    this.clearInputCommands(peerId); // A refreshed page counts inputs from 1 again
 
-    console.log('📊 Total players now:', this.players.size);
+    this.log.debug('Total players now:', this.players.size);
 
     // Send initial state to the new player (if not host)
     if (peerId !== this.network.peerId) {
@@ -139,32 +277,354 @@ class GameHost {
       const initData = {
         type: 'init',
         localPlayerId: peerId,
+        resumeToken: this.resumeTokens.get(peerId),
         config: this.config,
-        players: playersList
+        level: this.level,
+        players: playersList,
+        spectators: Array.from(this.spectators.values())
       };
-      console.log('📤 HOST: Sending init data to', peerId);
-      console.log('📊 HOST: Current players in init:', playersList.map(p => p.id));
-      console.log('📦 HOST: Full init data:', initData);
+      this.log.debug('Sending init data to', peerId);
+      this.log.debug('Current players in init:', playersList.map(p => p.id));
+      this.log.debug('Full init data:', initData);
       this.network.sendTo(peerId, initData);
+      this.shareRoomSettings(peerId);
 
       // Broadcast to all clients that a new player joined
       const joinData = {
         type: 'playerJoined',
         player: player
       };
-      console.log('📢 HOST: Broadcasting player joined:', joinData);
+      this.log.debug('Broadcasting player joined:', joinData);
       this.network.send(joinData);
     }
 
     // Notify client.js for rendering
     if (this.onPlayerAddedCallback) {
-      console.log('🎨 Calling render callback for player:', peerId);
+      this.log.debug('Calling render callback for player:', peerId);
       this.onPlayerAddedCallback(player);
     }
 
     return player;
   }
 
+  // Spectators get the full game state and the room events, but have no
+  // player in the simulation and do not count towards maxPlayers
+  addSpectator(peerId, name) {
+    this.log.info('Adding spectator:', peerId);
+    const spectator = { id: peerId, name: name || 'Spectator' };
+    this.spectators.set(peerId, spectator);
+    this.snapshotEncoders.set(peerId, new SnapshotEncoder());
+
+    this.network.sendTo(peerId, {
+      type: 'init',
+      localPlayerId: peerId,
+      spectator: true,
+      config: this.config,
+      level: this.level,
+      players: Array.from(this.players.values()),
+      spectators: Array.from(this.spectators.values())
+    });
+    this.network.send({ type: 'spectatorJoined', spectator: spectator });
+    this.notifySpectatorsChanged();
+
+    return spectator;
+  }
+
+  // Spectators have no slot to keep - they leave right away
+  removeSpectator(peerId) {
+    if (!this.spectators.delete(peerId)) return;
+
+    this.log.info('Removing spectator:', peerId);
+    this.spectatorRequests.delete(peerId);
+    this.snapshotEncoders.delete(peerId);
+    this.identities.delete(peerId);
+
+    this.network.send({ type: 'spectatorLeft', spectatorId: peerId });
+    this.notifySpectatorsChanged();
+  }
+
+  // Keep a disconnected player's slot until the grace period runs out.
+  // The player stays in the world, standing still, until then.
+  suspendPlayer(peerId, gracePeriod) {
+    clearTimeout(this.disconnectedPlayers.get(peerId));
+    this.inputs.set(peerId, this.createInputState());
+    this.snapshotEncoders.delete(peerId);
+    this.clearInputCommands(peerId);
+
+    this.log.info('Keeping slot for', peerId, 'for', gracePeriod, 'ms');
+    this.disconnectedPlayers.set(peerId, setTimeout(() => {
+      this.log.info('Player did not reconnect:', peerId);
+      this.removePlayer(peerId);
+    }, gracePeriod));
+  }
+
+  // Ban, password, capacity and knock-to-join checks. Players coming back to
+  // their own slot (same peer, or a resume token for a suspended player) and
+  // spectators following us after a migration were let in before and only
+  // get the ban check. Anyone else - including a token whose player is still
+  // connected, which would end up as a second player - goes through them all.
+  handleJoinRequest(peerId, hello) {
+    if (this.bannedPeers.has(peerId) || (hello.identity && this.bannedIdentities.has(hello.identity))) {
+      this.log.info('Banned peer tried to join:', peerId);
+      this.network.rejectPeer(peerId, 'You are banned from this room');
+      return;
+    }
+    if (hello.identity) {
+      this.identities.set(peerId, hello.identity);
+    }
+    if (hello.spectator) {
+      this.spectatorRequests.set(peerId, hello.name);
+    } else {
+      this.spectatorRequests.delete(peerId);
+    }
+
+    const resumedPeerId = hello.resumeToken ? this.findPeerByResumeToken(hello.resumeToken) : null;
+    const returning = this.players.has(peerId) || this.returningSpectators.delete(peerId) ||
+      (resumedPeerId !== null && this.disconnectedPlayers.has(resumedPeerId));
+    if (returning) {
+      this.network.admitPeer(peerId);
+      return;
+    }
+
+    if (this.roomPassword && hello.password !== this.roomPassword) {
+      this.log.info('Wrong password from', peerId);
+      this.network.rejectPeer(peerId, hello.password ? 'Wrong room password' : 'This room needs a password');
+      return;
+    }
+
+    if (!hello.spectator && this.isFull()) {
+      this.network.rejectPeer(peerId, 'Room is full');
+      return;
+    }
+
+    if (this.knockToJoin) {
+      this.log.info('Join request from', peerId, hello.name);
+      this.joinRequests.set(peerId, { peerId: peerId, name: hello.name || 'Player', spectator: !!hello.spectator });
+      this.network.deferPeer(peerId);
+      this.notifyJoinRequestsChanged();
+      return;
+    }
+
+    this.network.admitPeer(peerId);
+  }
+
+  acceptJoinRequest(peerId) {
+    if (!this.joinRequests.delete(peerId)) return;
+
+    // The room may have filled up while the request was waiting
+    if (!this.spectatorRequests.has(peerId) && this.isFull()) {
+      this.network.rejectPeer(peerId, 'Room is full');
+    } else {
+      this.log.info('Accepted join request:', peerId);
+      this.network.admitPeer(peerId);
+    }
+    this.notifyJoinRequestsChanged();
+  }
+
+  denyJoinRequest(peerId) {
+    if (!this.joinRequests.delete(peerId)) return;
+
+    this.log.info('Denied join request:', peerId);
+    this.network.rejectPeer(peerId, 'The host declined your join request');
+    this.notifyJoinRequestsChanged();
+  }
+
+  // Suspended players keep their slot, so they count too. Spectators do not.
+  isFull() {
+    return this.players.size >= this.maxPlayers;
+  }
+
+  setMaxPlayers(maxPlayers) {
+    this.maxPlayers = Math.max(1, maxPlayers);
+    this.shareRoomSettings();
+  }
+
+  // Remove a player from the room. The client is told why and does not try
+  // to resume or migrate.
+  kickPlayer(peerId, reason = 'You were kicked by the host') {
+    if (peerId === this.network.peerId) return;
+    if (!this.players.has(peerId) && !this.spectators.has(peerId)) return;
+
+    this.log.info('Kicking', peerId, ':', reason);
+    if (this.spectators.has(peerId)) {
+      this.removeSpectator(peerId);
+    } else {
+      this.removePlayer(peerId);
+    }
+    this.network.rejectPeer(peerId, reason);
+  }
+
+  // Kick and keep out for the rest of the session - by peer ID and by the
+  // client's persistent identity, so a new peer ID does not get around it
+  banPlayer(peerId) {
+    if (peerId === this.network.peerId) return;
+
+    this.bannedPeers.add(peerId);
+    const identity = this.identities.get(peerId);
+    if (identity) {
+      this.bannedIdentities.add(identity);
+    }
+    this.kickPlayer(peerId, 'You have been banned from this room');
+    this.shareRoomSettings();
+  }
+
+  setRoomPassword(password) {
+    this.roomPassword = password || null;
+    this.shareRoomSettings();
+  }
+
+  // Turning knock-to-join off lets everyone who is waiting in
+  setKnockToJoin(enabled) {
+    this.knockToJoin = enabled;
+    if (!enabled) {
+      Array.from(this.joinRequests.keys()).forEach(peerId => this.acceptJoinRequest(peerId));
+    }
+    this.shareRoomSettings();
+  }
+
+  // Admission settings and bans - whoever takes over after a host migration
+  // applies them, so a locked room stays locked
+  getRoomSettings() {
+    return {
+      password: this.roomPassword,
+      knockToJoin: this.knockToJoin,
+      maxPlayers: this.maxPlayers,
+      bannedPeers: Array.from(this.bannedPeers),
+      bannedIdentities: Array.from(this.bannedIdentities)
+    };
+  }
+
+  applyRoomSettings(settings) {
+    this.roomPassword = settings.password || null;
+    this.knockToJoin = !!settings.knockToJoin;
+    this.maxPlayers = Math.max(1, settings.maxPlayers || CONFIG.network.maxPlayers);
+    (settings.bannedPeers || []).forEach(peerId => this.bannedPeers.add(peerId));
+    (settings.bannedIdentities || []).forEach(identity => this.bannedIdentities.add(identity));
+    this.log.info('Applied room settings from the previous host');
+  }
+
+  // Players are the host candidates, so they keep a copy of the settings.
+  // Spectators never become host and do not get them.
+  shareRoomSettings(peerId = null) {
+    const message = { type: 'roomSettings', settings: this.getRoomSettings() };
+    if (peerId) {
+      this.network.sendTo(peerId, message);
+      return;
+    }
+    this.players.forEach((player, id) => {
+      if (id !== this.network.peerId) {
+        this.network.sendTo(id, message);
+      }
+    });
+  }
+
+  // Spectators of the previous host skip the password and knock checks
+  // when they follow us after a host migration
+  expectSpectators(peerIds) {
+    peerIds.forEach(peerId => this.returningSpectators.add(peerId));
+  }
+
+  notifyJoinRequestsChanged() {
+    if (this.onJoinRequestsChangedCallback) {
+      this.onJoinRequestsChangedCallback(Array.from(this.joinRequests.values()));
+    }
+  }
+
+  notifySpectatorsChanged() {
+    if (this.onSpectatorsChangedCallback) {
+      this.onSpectatorsChangedCallback(Array.from(this.spectators.values()));
+    }
+  }
+
+  // Peer ID a resume token was issued to, or null
+  findPeerByResumeToken(resumeToken) {
+    let found = null;
+    this.resumeTokens.forEach((token, id) => {
+      if (token === resumeToken) found = id;
+    });
+    return found;
+  }
+
+  // A client presented a resume token: hand it back its old player.
+  // Reconnecting from a new peer (e.g. after a page refresh) moves the
+  // player over to the new peer ID.
+  resumePlayer(peerId, resumeToken) {
+    const oldPeerId = this.findPeerByResumeToken(resumeToken);
+
+    if (!oldPeerId || !this.players.has(oldPeerId)) {
+      this.log.warn('Unknown or expired resume token from', peerId);
+      return false;
+    }
+    if (oldPeerId === peerId) {
+      return true;
+    }
+
+    // Never take over a player whose owner is still connected
+    if (!this.disconnectedPlayers.has(oldPeerId)) {
+      this.log.warn('Resume token for a connected player, ignoring:', oldPeerId);
+      return false;
+    }
+
+    this.log.info('Resuming', oldPeerId, 'as', peerId);
+    const player = this.players.get(oldPeerId);
+    this.removePlayer(oldPeerId);
+
+    player.id = peerId;
+    this.players.set(peerId, player);
+    this.resumeTokens.set(peerId, resumeToken);
+    return true;
+  }
+
+  generateResumeToken() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Build a fresh player state, optionally seeded from a snapshot entry
+  createPlayerState(peerId, seed = {}) {
+    const position = seed.position ? { ...seed.position } : { x: 0, y: this.config.groundLevel, z: 0 };
+    const isGrounded = position.y <= this.config.groundLevel;
+
+    return {
+      id: peerId,
+      netId: this.nextNetId++,
+      name: seed.name || 'Player',
+      position: position,
+      velocity: { x: 0, y: 0, z: 0 },
+      rotation: seed.rotation || 0,
+      color: seed.color !== undefined ? seed.color : this.randomColor(),
+      isGrounded: isGrounded,
+      jumpCount: isGrounded ? 0 : 1,
+      jumpHeld: false,
+      isDashing: false,
+      dashTimer: 0,
+      dashCooldownTimer: seed.dashCooldownTimer || 0,
+      dashStacks: seed.dashStacks !== undefined ? seed.dashStacks : this.config.maxDashStacks,
+      dashDirection: { x: 0, z: 0 },
+      hasBall: true, // A ball in flight when the previous host left is lost - start with a new one
+      throwHeld: false,
+      knockback: { x: 0, z: 0 },
+      health: seed.health > 0 ? seed.health : this.config.maxHealth,
+      dead: false,
+      invulnerableTimer: 0,
+      respawnTimer: 0
+    };
+  }
+
+  createInputState() {
+    return {
+      forward: false,
+      backward: false,
+      left: false,
+      right: false,
+      jump: false,
+      dash: false,
+      throw: false,
+      cameraYaw: 0
+    };
+  }
+
   // Set callbacks for when players are added/removed
   onPlayerAdded(callback) {
     this.onPlayerAddedCallback = callback;
@@ -178,18 +638,43 @@ class GameHost {
     this.onChatMessageCallback = callback;
   }
 
+  onPings(callback) {
+    this.onPingsCallback = callback;
+  }
+
+  onJoinRequestsChanged(callback) {
+    this.onJoinRequestsChangedCallback = callback;
+  }
+
+  onSpectatorsChanged(callback) {
+    this.onSpectatorsChangedCallback = callback;
+  }
+
+  // After every update: (players, host time in ms, spike balls) for rendering
+  onState(callback) {
+    this.onStateCallback = callback;
+  }
+
   removePlayer(peerId) {
-    console.log('🗑️ HOST: Removing player:', peerId);
-    console.log('📊 HOST: Players before removal:', Array.from(this.players.keys()));
+    this.log.info('Removing player:', peerId);
+    this.log.debug('Players before removal:', Array.from(this.players.keys()));
 
     this.players.delete(peerId);
     this.inputs.delete(peerId);
+    this.spikeBalls.delete(peerId);
+    this.dashHits.delete(peerId);
+    this.resumeTokens.delete(peerId);
+    this.snapshotEncoders.delete(peerId);
+    this.clearInputCommands(peerId);
+    this.identities.delete(peerId);
+    clearTimeout(this.disconnectedPlayers.get(peerId));
+    this.disconnectedPlayers.delete(peerId);
 
-    console.log('📊 HOST: Players after removal:', Array.from(this.players.keys()));
+    this.log.debug('Players after removal:', Array.from(this.players.keys()));
 
     // Notify client.js for rendering cleanup
     if (this.onPlayerRemovedCallback) {
-      console.log('🎨 Calling render cleanup callback for player:', peerId);
+      this.log.debug('Calling render cleanup callback for player:', peerId);
       this.onPlayerRemovedCallback(peerId);
     }
 
@@ -199,154 +684,404 @@ class GameHost {
       playerId: peerId
     };
 
-    console.log('📢 HOST: Broadcasting player removal:', removeMessage);
+    this.log.debug('Broadcasting player removal:', removeMessage);
     this.network.send(removeMessage);
   }
 
-  updateInput(inputData) {
-    // Update host's own input
-    const input = this.inputs.get(this.network.peerId);
-    if (input) {
-      Object.assign(input, inputData);
+  // Input packets repeat the newest few commands, so most arrive more than
+  // once - queue only the ones not seen yet
+  queueInputCommands(peerId, commands) {
+    if (!this.inputs.has(peerId) || !Array.isArray(commands)) {
+      this.log.warn('No input object for peer', peerId);
+      return;
+    }
+
+    const lastSeq = this.lastInputSeqs.get(peerId) || 0;
+    const fresh = commands.filter(command => command.seq > lastSeq);
+    if (fresh.length === 0) {
+      // Every command in the packet was already here (duplicate or overtaken)
+      const newest = commands.length > 0 ? commands[commands.length - 1].seq : 0;
+      this.network.stats.recordDropped(peerId, newest === lastSeq ? 'duplicate' : 'stale');
+      return;
+    }
+
+    let queue = this.inputQueues.get(peerId);
+    if (!queue) {
+      queue = [];
+      this.inputQueues.set(peerId, queue);
+    }
+    fresh.forEach(command => queue.push(command));
+    this.lastInputSeqs.set(peerId, fresh[fresh.length - 1].seq);
+
+    // A client running ahead of us (e.g. after a host stall) would otherwise
+    // build up input lag - drop the oldest commands instead
+    const maxQueue = CONFIG.network.prediction.maxInputQueue;
+    if (queue.length > maxQueue) {
+      queue.splice(0, queue.length - maxQueue);
     }
+    this.log.debug('Queued', fresh.length, 'input commands from', peerId);
   }
 
-  update() {
-    const now = Date.now();
-    const dt = (now - this.lastUpdate) / 1000;
-    this.lastUpdate = now;
+  clearInputCommands(peerId) {
+    this.lastInputSeqs.delete(peerId);
+    this.inputQueues.delete(peerId);
+    this.processedInputSeqs.delete(peerId);
+    this.viewTimes.delete(peerId);
+  }
 
-    // Update all players
+  // One fixed physics tick for every player. Remote players run their next
+  // queued command; with none queued (loss, jitter) the last input repeats.
+  simulate() {
+    this.simTick++;
     this.players.forEach((player, peerId) => {
       const input = this.inputs.get(peerId);
       if (!input) return;
 
-      // Update dash cooldown and stacks
-      if (player.dashCooldownTimer > 0) {
-        player.dashCooldownTimer -= dt;
-        if (player.dashCooldownTimer <= 0) {
-          player.dashCooldownTimer = 0;
-          // Gain a stack when cooldown finishes
-          if (player.dashStacks < this.config.maxDashStacks) {
-            player.dashStacks++;
-            // Start next cooldown if not at max stacks
-            if (player.dashStacks < this.config.maxDashStacks) {
-              player.dashCooldownTimer = this.config.dashCooldown;
-            }
-          }
+      const queue = this.inputQueues.get(peerId);
+      if (queue && queue.length > 0) {
+        const command = queue.shift();
+        Object.assign(input, command.input);
+        this.processedInputSeqs.set(peerId, command.seq);
+        if (typeof command.viewTime === 'number') {
+          this.viewTimes.set(peerId, command.viewTime);
         }
       }
+      const dashing = player.isDashing;
+      Physics.step(player, input, this.config, this.getObstacles(peerId));
+      this.checkDashHits(peerId, player, dashing || player.isDashing);
 
-      // Update dash timer
-      if (player.isDashing) {
-        player.dashTimer -= dt;
-        if (player.dashTimer <= 0) {
-          player.isDashing = false;
-        }
+      // Throw on key press (not hold), like jump
+      if (input.throw && !player.throwHeld && player.hasBall) {
+        this.throwSpikeBall(peerId, player);
       }
+      player.throwHeld = !!input.throw;
+    });
 
-      // Calculate movement
-      let moveX = 0;
-      let moveZ = 0;
+    this.updateSpikeBalls();
+    this.updateLifeTimers();
+    this.history.record(this.getSimTime(), this.players);
+  }
+
+  // Throw straight ahead (the way the player faces), at body height
+  throwSpikeBall(peerId, player) {
+    player.hasBall = false;
+    this.spikeBalls.set(peerId, {
+      ownerId: peerId,
+      netId: player.netId,
+      position: { ...player.position },
+      direction: { x: Math.sin(player.rotation), z: Math.cos(player.rotation) },
+      distanceTraveled: 0,
+      returning: false,
+      rewind: this.getSimTime() - this.getRewindTime(peerId), // Thrower's view lag - hits are judged against what it sees
+      hits: new Set() // Hit each player at most once per throw
+    });
+    this.log.debug('Spike ball thrown by', peerId);
+  }
 
-      if (input.forward) moveZ -= 1;
-      if (input.backward) moveZ += 1;
-      if (input.left) moveX -= 1;
-      if (input.right) moveX += 1;
+  // Balls fly out to spikeBallRange or into the level's geometry, then home
+  // in on their thrower until caught (through anything in the way, so a
+  // ball never gets stuck)
+  updateSpikeBalls() {
+    const step = this.config.spikeBallSpeed / this.config.tickRate;
 
-      // Normalize
-      const length = Math.sqrt(moveX * moveX + moveZ * moveZ);
-      if (length > 0) {
-        moveX /= length;
-        moveZ /= length;
+    this.spikeBalls.forEach((ball, peerId) => {
+      const owner = this.players.get(peerId);
+      if (!owner) {
+        this.spikeBalls.delete(peerId);
+        return;
       }
 
-      // Rotate by camera yaw
-      const yaw = input.cameraYaw || 0;
-      const rotatedX = moveX * Math.cos(-yaw) - moveZ * Math.sin(-yaw);
-      const rotatedZ = moveX * Math.sin(-yaw) + moveZ * Math.cos(-yaw);
-
-      // Dash - consume stack
-      if (input.dash && !player.isDashing && player.dashStacks > 0 && (rotatedX !== 0 || rotatedZ !== 0)) {
-        player.isDashing = true;
-        player.dashTimer = this.config.dashDuration;
-        player.dashStacks--;
-        player.dashDirection.x = rotatedX;
-        player.dashDirection.z = rotatedZ;
-
-        // Start cooldown if not already running
-        if (player.dashCooldownTimer <= 0) {
-          player.dashCooldownTimer = this.config.dashCooldown;
+      if (!ball.returning) {
+        ball.position.x += ball.direction.x * step;
+        ball.position.z += ball.direction.z * step;
+        ball.distanceTraveled += step;
+        if (this.levelObstacles.some(obstacle => Physics.containsPoint(obstacle, ball.position))) {
+          // Walls give cover - turn back from where the ball hit
+          ball.position.x -= ball.direction.x * step;
+          ball.position.z -= ball.direction.z * step;
+          ball.returning = true;
+          return;
         }
+        if (ball.distanceTraveled >= this.config.spikeBallRange) {
+          ball.returning = true;
+        }
+        this.checkSpikeBallHits(ball, ball.direction.x, ball.direction.z);
+        return;
       }
 
-      // Apply movement
-      if (player.isDashing) {
-        player.velocity.x = player.dashDirection.x * this.config.dashSpeed;
-        player.velocity.z = player.dashDirection.z * this.config.dashSpeed;
-      } else {
-        player.velocity.x = rotatedX * this.config.moveSpeed;
-        player.velocity.z = rotatedZ * this.config.moveSpeed;
+      const dx = owner.position.x - ball.position.x;
+      const dy = owner.position.y - ball.position.y;
+      const dz = owner.position.z - ball.position.z;
+      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      if (distance < this.config.spikeBallCatchDistance || distance <= step) {
+        this.spikeBalls.delete(peerId);
+        owner.hasBall = true;
+        this.log.debug('Spike ball caught by', peerId);
+        return;
       }
+      ball.position.x += dx / distance * step;
+      ball.position.y += dy / distance * step;
+      ball.position.z += dz / distance * step;
 
-      // Double Jump - trigger on key press (not hold)
-      if (input.jump && !input.jumpPressed) {
-        if (player.isGrounded) {
-          player.velocity.y = this.config.jumpPower;
-          player.isGrounded = false;
-          player.jumpCount = 1;
-          input.jumpPressed = true;
-        } else if (player.jumpCount === 1) {
-          player.velocity.y = this.config.jumpPower;
-          player.jumpCount = 2;
-          input.jumpPressed = true;
-        }
-      } else if (!input.jump) {
-        input.jumpPressed = false;
+      const horizontal = Math.sqrt(dx * dx + dz * dz) || 1;
+      this.checkSpikeBallHits(ball, dx / horizontal, dz / horizontal);
+    });
+  }
+
+  // Hit whoever the ball touches, as the thrower saw them. (headingX,
+  // headingZ) is the way the ball is flying - the victim is knocked that way.
+  checkSpikeBallHits(ball, headingX, headingZ) {
+    const radius = this.config.spikeBallHitRadius;
+    const hits = this.findHits(ball.ownerId, state =>
+      Math.abs(state.position.x - ball.position.x) < radius &&
+      Math.abs(state.position.y - ball.position.y) < radius &&
+      Math.abs(state.position.z - ball.position.z) < radius,
+    this.getSimTime() - ball.rewind);
+
+    hits.forEach(id => {
+      if (ball.hits.has(id)) return;
+      ball.hits.add(id);
+      const knockback = this.config.spikeBallKnockback;
+      this.applyHit(id, ball.ownerId, this.config.spikeBallDamage, headingX * knockback, headingZ * knockback);
+    });
+  }
+
+  // A dashing player running into someone (boxes touching, as the dasher
+  // saw them) knocks them along the dash - once per dash. dashing is true
+  // if the player dashed at any point of this tick (a shove ends the dash).
+  checkDashHits(peerId, player, dashing) {
+    if (!dashing || player.dead) {
+      this.dashHits.delete(peerId);
+      return;
+    }
+
+    let hitIds = this.dashHits.get(peerId);
+    if (!hitIds) {
+      hitIds = new Set();
+      this.dashHits.set(peerId, hitIds);
+    }
+
+    // Collisions keep boxes from overlapping, so touching counts
+    const reach = 1.05;
+    const hits = this.findHits(peerId, state =>
+      Math.abs(state.position.x - player.position.x) < reach &&
+      Math.abs(state.position.y - player.position.y) < reach &&
+      Math.abs(state.position.z - player.position.z) < reach);
+
+    hits.forEach(id => {
+      if (hitIds.has(id)) return;
+      hitIds.add(id);
+      const knockback = this.config.dashKnockback;
+      this.applyHit(id, peerId, this.config.dashHitDamage, player.dashDirection.x * knockback, player.dashDirection.z * knockback);
+    });
+  }
+
+  // Everyone else as solid boxes - the dead are ghosts - then the level
+  getObstacles(peerId) {
+    const obstacles = [];
+    this.players.forEach((player, id) => {
+      if (id !== peerId && !player.dead) {
+        obstacles.push(Physics.bodyBox(player));
       }
+    });
+    return obstacles.concat(this.levelObstacles);
+  }
+
+  // Damage and knock back a player, unless it is dead or just got hit
+  applyHit(victimId, attackerId, damage, knockbackX, knockbackZ) {
+    const victim = this.players.get(victimId);
+    if (!victim || victim.dead || victim.invulnerableTimer > 0) return;
+
+    victim.health = Math.max(0, victim.health - damage);
+    victim.invulnerableTimer = this.config.invulnerabilityTime;
+    victim.knockback.x = knockbackX;
+    victim.knockback.z = knockbackZ;
+    victim.velocity.y = this.config.knockbackLift;
+    victim.isGrounded = false;
+    this.log.debug('Player', victimId, 'hit by', attackerId, 'for', damage, '- health', victim.health);
+
+    if (victim.health <= 0) {
+      victim.dead = true;
+      victim.isDashing = false;
+      victim.respawnTimer = this.config.respawnTime;
+      this.log.info('Player', victimId, 'was knocked out by', attackerId);
+    }
+  }
+
+  // Invulnerability runs out, the dead come back after respawnTime
+  updateLifeTimers() {
+    const dt = 1 / this.config.tickRate;
 
-      // Gravity
-      if (!player.isGrounded) {
-        player.velocity.y -= this.config.gravity * dt;
+    this.players.forEach(player => {
+      if (player.invulnerableTimer > 0) {
+        player.invulnerableTimer = Math.max(0, player.invulnerableTimer - dt);
       }
+      if (player.dead) {
+        player.respawnTimer -= dt;
+        if (player.respawnTimer <= 0) {
+          this.respawnPlayer(player);
+        }
+      }
+    });
+  }
 
-      // Update position
-      player.position.x += player.velocity.x * dt;
-      player.position.y += player.velocity.y * dt;
-      player.position.z += player.velocity.z * dt;
-
-      // Ground collision
-      if (player.position.y <= this.config.groundLevel) {
-        player.position.y = this.config.groundLevel;
-        player.velocity.y = 0;
-        player.isGrounded = true;
-        player.jumpCount = 0;
+  // Back at full health somewhere near the middle, briefly invulnerable
+  respawnPlayer(player) {
+    const spawn = this.findSpawnPoint(player);
+    player.position.x = spawn.x;
+    player.position.y = this.config.groundLevel;
+    player.position.z = spawn.z;
+    player.velocity.x = 0;
+    player.velocity.y = 0;
+    player.velocity.z = 0;
+    player.knockback.x = 0;
+    player.knockback.z = 0;
+    player.isGrounded = true;
+    player.jumpCount = 0;
+    player.isDashing = false;
+    player.health = this.config.maxHealth;
+    player.dead = false;
+    player.invulnerableTimer = this.config.invulnerabilityTime;
+    this.log.info('Player respawned:', player.id);
+  }
+
+  // Random spot on the ground near the middle that is clear of the level's
+  // boxes and ramps and of the other living players - the middle itself if
+  // no try finds one
+  findSpawnPoint(player) {
+    const spread = this.config.worldSize / 4;
+    const body = { position: { y: this.config.groundLevel } };
+    const others = Array.from(this.players.values())
+      .filter(other => other !== player && !other.dead)
+      .map(other => Physics.bodyBox(other));
+    const blockers = this.levelObstacles.concat(others);
+    for (let attempt = 0; attempt < 20; attempt++) {
+      body.position.x = (Math.random() - 0.5) * spread;
+      body.position.z = (Math.random() - 0.5) * spread;
+      const box = Physics.bodyBox(body);
+      const blocked = blockers.some(other =>
+        Math.abs(box.x - other.x) < box.hx + other.hx &&
+        Math.abs(box.y - other.y) < box.hy + other.hy &&
+        Math.abs(box.z - other.z) < box.hz + other.hz
+      );
+      if (!blocked) {
+        return { x: body.position.x, z: body.position.z };
       }
+    }
+    return { x: 0, z: 0 };
+  }
 
-      // World boundaries
-      const half = this.config.worldSize / 2;
-      player.position.x = Math.max(-half, Math.min(half, player.position.x));
-      player.position.z = Math.max(-half, Math.min(half, player.position.z));
+  // Host simulation clock (ms) - what snapshots and view times are measured in
+  getSimTime() {
+    return this.simTick * 1000 / this.config.tickRate;
+  }
 
-      // Update rotation
-      if (rotatedX !== 0 || rotatedZ !== 0) {
-        player.rotation = Math.atan2(rotatedX, rotatedZ);
+  // The host time a player's actions are judged at: what its screen showed,
+  // but no further back than maxRewind. The host sees the present.
+  getRewindTime(peerId) {
+    const now = this.getSimTime();
+    const viewTime = this.viewTimes.get(peerId);
+    if (peerId === this.network.peerId || viewTime === undefined) {
+      return now;
+    }
+    return Math.max(now - CONFIG.network.lagCompensation.maxRewind, Math.min(now, viewTime));
+  }
+
+  // Other players that test(state, id) says were hit, with everyone
+  // rewound to what the attacker saw at time (default: its rewind time)
+  findHits(attackerId, test, time = this.getRewindTime(attackerId)) {
+    const hits = [];
+    this.history.at(time).forEach((state, id) => {
+      if (id !== attackerId && this.players.has(id) && test(state, id)) {
+        hits.push(id);
       }
     });
+    return hits;
+  }
 
-    // Broadcast game state
-    this.network.send({
-      type: 'gameState',
-      players: Array.from(this.players.values()).map(p => ({
-        id: p.id,
-        name: p.name,
-        position: p.position,
-        rotation: p.rotation,
-        color: p.color,
-        dashCooldownTimer: p.dashCooldownTimer,
-        dashStacks: p.dashStacks
-      }))
+  updateInput(inputData) {
+    // Update host's own input
+    const input = this.inputs.get(this.network.peerId);
+    if (input) {
+      Object.assign(input, inputData);
+    }
+  }
+
+  update() {
+    // Fixed-rate simulation - as many whole ticks as real time has passed
+    this.stepper.advance(Date.now(), () => this.simulate());
+
+    // Send each client a binary delta against the last snapshot it acknowledged
+    this.tick++;
+    this.spatialGrid.clear();
+    this.players.forEach((player, peerId) => {
+      this.spatialGrid.insert(peerId, player.position.x, player.position.z);
     });
+
+    this.snapshotEncoders.forEach((encoder, peerId) => {
+      const { entities, held } = this.getRelevantEntities(peerId);
+      this.network.sendTo(peerId, encoder.encode(entities, this.tick, this.simTick, {
+        held: held,
+        projectiles: this.getRelevantSpikeBalls(peerId),
+        owner: this.getOwnerState(peerId)
+      }));
+    });
+
+    if (this.onStateCallback) {
+      this.onStateCallback(this.getPlayers(), this.getSimTime(), this.getSpikeBalls());
+    }
+  }
+
+  getSpikeBalls() {
+    return Array.from(this.spikeBalls.values());
+  }
+
+  // Balls within a client's far radius (spectators see all of them)
+  getRelevantSpikeBalls(peerId) {
+    const viewer = this.players.get(peerId);
+    if (!viewer) {
+      return this.getSpikeBalls();
+    }
+
+    const radius = CONFIG.network.interest.farRadius;
+    return this.getSpikeBalls().filter(ball => {
+      const dx = ball.position.x - viewer.position.x;
+      const dz = ball.position.z - viewer.position.z;
+      return dx * dx + dz * dz <= radius * radius;
+    });
+  }
+
+  // A client's own player at full precision, plus the last input command
+  // it went through - the client rewinds to this and replays the rest
+  getOwnerState(peerId) {
+    const player = this.players.get(peerId);
+    if (!player) return null;
+    return { inputSeq: this.processedInputSeqs.get(peerId) || 0, state: player };
+  }
+
+  // Players a client should hear about this tick. Near ones update every
+  // tick, far ones every few ticks (staggered by netId) and are held
+  // unchanged in between, anything further is left out.
+  getRelevantEntities(peerId) {
+    const viewer = this.players.get(peerId);
+    if (!viewer) {
+      return { entities: Array.from(this.players.values()), held: null };
+    }
+
+    const interest = CONFIG.network.interest;
+    const entities = [];
+    const held = new Set();
+
+    this.spatialGrid.query(viewer.position.x, viewer.position.z, interest.farRadius).forEach(({ id, distance }) => {
+      const player = this.players.get(id);
+      entities.push(player);
+
+      if (distance > interest.nearRadius && (this.tick + player.netId) % interest.farUpdateInterval !== 0) {
+        held.add(player.netId);
+      }
+    });
+
+    return { entities, held };
   }
 
   getPlayers() {
@@ -357,8 +1092,25 @@ class GameHost {
     if (this.updateInterval) {
       clearInterval(this.updateInterval);
     }
+    if (this.pingBroadcastInterval) {
+      clearInterval(this.pingBroadcastInterval);
+    }
+    this.disconnectedPlayers.forEach(timeout => clearTimeout(timeout));
+    this.disconnectedPlayers.clear();
     this.players.clear();
     this.inputs.clear();
+    this.spikeBalls.clear();
+    this.dashHits.clear();
+    this.snapshotEncoders.clear();
+    this.lastInputSeqs.clear();
+    this.inputQueues.clear();
+    this.processedInputSeqs.clear();
+    this.viewTimes.clear();
+    this.history.clear();
+    this.joinRequests.clear();
+    this.identities.clear();
+    this.spectators.clear();
+    this.spectatorRequests.clear();
   }
 
   randomColor() {
@@ -369,9 +1121,29 @@ class GameHost {
     return colors[Math.floor(Math.random() * colors.length)];
   }
 
+  // Host's measured RTT to each client and spectator (peerId -> ms, null for the host)
+  broadcastPings() {
+    const pings = {};
+    this.players.forEach((player, peerId) => {
+      pings[peerId] = peerId === this.network.peerId ? null : this.network.stats.getRtt(peerId);
+    });
+    this.spectators.forEach((spectator, peerId) => {
+      pings[peerId] = this.network.stats.getRtt(peerId);
+    });
+
+    this.network.send({
+      type: 'pings',
+      pings: pings
+    });
+
+    if (this.onPingsCallback) {
+      this.onPingsCallback(pings);
+    }
+  }
+
   broadcastChatMessage(chatData) {
     // Host broadcasts their own chat message to all clients
-    console.log('💬 HOST: Broadcasting own chat:', chatData.message);
+    this.log.debug('Broadcasting own chat:', chatData.message);
     this.network.send({
       type: 'chat',
       playerId: chatData.playerId,
@@ -0,0 +1,149 @@
+// Snapshot interpolation for remote players.
+//
+// Every snapshot is stored per entity under the host time it was taken at
+// (host physics ticks / tickRate, in ms), not when it happened to arrive.
+// Players are drawn at renderTime = estimated host time now minus
+// CONFIG.network.interpolation.delay, between the two stored samples around
+// it, so motion stays smooth at any frame rate and however packets bunch up.
+// When renderTime runs past the newest sample (late or lost packets) the
+// last movement is extrapolated for at most maxExtrapolation ms, then held.
+// Jumps longer than teleportDistance (respawns) are not smeared out.
+
+// Stored samples of one entity, oldest first
+class InterpolationBuffer {
+  constructor(maxSamples = 32, teleportDistance = Infinity) {
+    this.maxSamples = maxSamples;
+    this.teleportDistance = teleportDistance;
+    this.samples = []; // [{ time, position, rotation }]
+  }
+
+  push(time, state) {
+    const newest = this.samples[this.samples.length - 1];
+    if (newest && time <= newest.time) return; // Duplicate or out of order
+
+    this.samples.push({
+      time: time,
+      position: { x: state.position.x, y: state.position.y, z: state.position.z },
+      rotation: state.rotation
+    });
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+  }
+
+  // State at a time, or null while empty
+  sample(time, maxExtrapolation) {
+    const samples = this.samples;
+    if (samples.length === 0) return null;
+
+    // Samples older than the pair we are between are no longer needed
+    while (samples.length > 2 && samples[1].time <= time) {
+      samples.shift();
+    }
+
+    const first = samples[0];
+    if (samples.length === 1 || time <= first.time) {
+      return InterpolationBuffer.copy(first);
+    }
+
+    const second = samples[1];
+    if (this.isTeleport(first, second)) {
+      return InterpolationBuffer.copy(time < second.time ? first : second);
+    }
+    if (time <= second.time) {
+      return InterpolationBuffer.blend(first, second, (time - first.time) / (second.time - first.time));
+    }
+
+    // Past the newest sample - keep moving the way it last moved, for a while
+    const ahead = Math.min(time - second.time, maxExtrapolation);
+    const state = InterpolationBuffer.blend(first, second, 1 + ahead / (second.time - first.time));
+    state.rotation = second.rotation;
+    return state;
+  }
+
+  isTeleport(a, b) {
+    const dx = b.position.x - a.position.x;
+    const dy = b.position.y - a.position.y;
+    const dz = b.position.z - a.position.z;
+    return dx * dx + dy * dy + dz * dz > this.teleportDistance * this.teleportDistance;
+  }
+
+  static copy(sample) {
+    return { position: { ...sample.position }, rotation: sample.rotation };
+  }
+
+  // t = 0 is a, t = 1 is b, beyond 1 extrapolates
+  static blend(a, b, t) {
+    // Turn the short way round
+    let turn = b.rotation - a.rotation;
+    if (turn > Math.PI) turn -= 2 * Math.PI;
+    if (turn < -Math.PI) turn += 2 * Math.PI;
+
+    return {
+      position: {
+        x: a.position.x + (b.position.x - a.position.x) * t,
+        y: a.position.y + (b.position.y - a.position.y) * t,
+        z: a.position.z + (b.position.z - a.position.z) * t
+      },
+      rotation: a.rotation + turn * t
+    };
+  }
+}
+
+class SnapshotInterpolator {
+  // settings: { delay, maxExtrapolation, bufferSize, teleportDistance } (CONFIG.network.interpolation)
+  constructor(settings) {
+    this.settings = settings;
+    this.buffers = new Map(); // entity id -> InterpolationBuffer
+    this.clockOffset = null; // Host time minus local time (ms)
+  }
+
+  // A snapshot taken at hostTime (ms) with the entities to interpolate
+  addSnapshot(hostTime, entities, now = Date.now()) {
+    this.syncClock(hostTime, now);
+
+    entities.forEach(entity => {
+      let buffer = this.buffers.get(entity.id);
+      if (!buffer) {
+        buffer = new InterpolationBuffer(this.settings.bufferSize, this.settings.teleportDistance);
+        this.buffers.set(entity.id, buffer);
+      }
+      buffer.push(hostTime, entity);
+    });
+  }
+
+  // Follow the host clock. Network jitter is averaged out slowly so render
+  // time never jumps; a big difference (new host, stalled tab) resyncs.
+  syncClock(hostTime, now) {
+    const offset = hostTime - now;
+    if (this.clockOffset === null || Math.abs(offset - this.clockOffset) > 1000) {
+      this.clockOffset = offset;
+    } else {
+      this.clockOffset += (offset - this.clockOffset) * 0.05;
+    }
+  }
+
+  // Host time being drawn now, or null before the first snapshot
+  renderTime(now = Date.now()) {
+    if (this.clockOffset === null) return null;
+    return now + this.clockOffset - this.settings.delay;
+  }
+
+  // Where to draw an entity now, or null if nothing is buffered for it
+  sample(id, now = Date.now()) {
+    const buffer = this.buffers.get(id);
+    if (!buffer || this.clockOffset === null) return null;
+    return buffer.sample(this.renderTime(now), this.settings.maxExtrapolation);
+  }
+
+  // Forget an entity (left, or out of range - it starts fresh when it is back)
+  remove(id) {
+    this.buffers.delete(id);
+  }
+
+  // New host - its clock starts over
+  reset() {
+    this.buffers.clear();
+    this.clockOffset = null;
+  }
+}
@@ -0,0 +1,71 @@
+// Past player states on the host, for lag compensation.
+//
+// A client draws other players about CONFIG.network.interpolation.delay plus
+// the trip from the host behind the host's present, so aiming at what is on
+// screen means aiming at where players used to be. Its input commands carry
+// that view time; the host records every physics tick here and checks the
+// client's hits against positions rewound to what it saw - never further
+// back than CONFIG.network.lagCompensation.maxRewind.
+
+class StateHistory {
+  constructor(maxAge) {
+    this.maxAge = maxAge; // ms of history to keep
+    this.frames = []; // [{ time, states: Map(id -> { position, rotation }) }], oldest first
+  }
+
+  // Store the players as they are at host time (ms)
+  record(time, players) {
+    const states = new Map();
+    players.forEach(player => {
+      states.set(player.id, {
+        position: { x: player.position.x, y: player.position.y, z: player.position.z },
+        rotation: player.rotation
+      });
+    });
+    this.frames.push({ time, states });
+
+    while (this.frames.length > 1 && this.frames[0].time < time - this.maxAge) {
+      this.frames.shift();
+    }
+  }
+
+  // Player states at a host time, interpolated between the two recorded
+  // ticks around it and clamped to the recorded range
+  at(time) {
+    const frames = this.frames;
+    if (frames.length === 0) return new Map();
+
+    let index = frames.length - 1;
+    while (index > 0 && frames[index - 1].time >= time) {
+      index--;
+    }
+    const after = frames[index];
+    const before = index > 0 ? frames[index - 1] : after;
+    if (before === after || time >= after.time) {
+      return after.states;
+    }
+
+    const t = (time - before.time) / (after.time - before.time);
+    const states = new Map();
+    after.states.forEach((state, id) => {
+      const previous = before.states.get(id);
+      if (!previous) {
+        states.set(id, state); // Joined in between
+        return;
+      }
+      states.set(id, {
+        position: {
+          x: previous.position.x + (state.position.x - previous.position.x) * t,
+          y: previous.position.y + (state.position.y - previous.position.y) * t,
+          z: previous.position.z + (state.position.z - previous.position.z) * t
+        },
+        rotation: t < 0.5 ? previous.rotation : state.rotation
+      });
+    });
+    return states;
+  }
+
+  clear() {
+    this.frames = [];
+  }
+}
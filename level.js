@@ -0,0 +1,95 @@
+// Level geometry - static boxes and ramps players collide with.
+//
+// The host picks a level (CONFIG.world.level, or ?level= in the URL) and
+// sends its definition to clients in init. Both sides turn it into solid
+// obstacles for Physics.step with Level.obstacles(), and the renderer builds
+// meshes from the same definition.
+//
+// Boxes: x / z center, width (x) / depth (z) / height, optional y of the
+// bottom (default 0, standing on the ground) and color.
+// Ramps: x / z center, width across the slope, length along it, height at
+// the top end, direction the slope rises towards ('+x', '-x', '+z', '-z'),
+// optional y of the bottom and color.
+
+const LEVELS = {
+  // Nothing but the ground
+  flat: {
+    boxes: [],
+    ramps: []
+  },
+
+  playground: {
+    boxes: [
+      // Stepping stones into the tower
+      { x: -10, z: -10, width: 3, depth: 3, height: 1, color: 0x8b7355 },
+      { x: -10, z: -14, width: 3, depth: 3, height: 2, color: 0x8b7355 },
+      { x: -14, z: -14, width: 3, depth: 3, height: 3, color: 0x8b7355 },
+      { x: -14, z: -10, width: 3, depth: 3, height: 4.5, color: 0x6b5335 },
+
+      // Plateau reached by the ramp
+      { x: 10, z: 12, width: 8, depth: 6, height: 1.5, color: 0x777777 },
+
+      // Floating platform off the plateau - double jump or dash across
+      { x: 10, y: 2.5, z: 19, width: 4, depth: 3, height: 0.5, color: 0x5577aa },
+
+      // Low walls to hide behind
+      { x: 0, z: 8, width: 6, depth: 1, height: 1.2, color: 0x999999 },
+      { x: -9, z: 2, width: 1, depth: 6, height: 1.2, color: 0x999999 }
+    ],
+    ramps: [
+      { x: 10, z: 5, width: 4, length: 8, height: 1.5, direction: '+z', color: 0x777777 },
+      { x: 16, z: -8, width: 4, length: 6, height: 2, direction: '-x', color: 0xaa8855 }
+    ]
+  }
+};
+
+class Level {
+  // Level definition by name; unknown names fall back to the flat level
+  static load(name) {
+    const definition = LEVELS[name];
+    if (!definition) {
+      Logger.get('game').warn('Unknown level', name, '- using flat');
+      return { name: 'flat', ...LEVELS.flat };
+    }
+    return { name: name, ...definition };
+  }
+
+  // Solid obstacles for Physics.step: boxes as center + half extents, ramps
+  // with the slope axis as well
+  static obstacles(level) {
+    if (!level) return [];
+
+    const boxes = (level.boxes || []).map(box => {
+      const bottom = box.y || 0;
+      return {
+        x: box.x,
+        y: bottom + box.height / 2,
+        z: box.z,
+        hx: box.width / 2,
+        hy: box.height / 2,
+        hz: box.depth / 2
+      };
+    });
+
+    const ramps = (level.ramps || []).map(ramp => {
+      const bottom = ramp.y || 0;
+      const alongX = ramp.direction === '+x' || ramp.direction === '-x';
+      return {
+        x: ramp.x,
+        y: bottom + ramp.height / 2,
+        z: ramp.z,
+        hx: (alongX ? ramp.length : ramp.width) / 2,
+        hy: ramp.height / 2,
+        hz: (alongX ? ramp.width : ramp.length) / 2,
+        slope: {
+          axis: alongX ? 'x' : 'z',
+          sign: ramp.direction[0] === '-' ? -1 : 1,
+          bottom: bottom,
+          height: ramp.height
+        }
+      };
+    });
+
+    return boxes.concat(ramps);
+  }
+}
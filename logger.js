@@ -0,0 +1,137 @@
+// Shared logger with levels and per-module categories.
+//
+//   this.log = Logger.get('host');
+//   this.log.info('Player connected:', peerId);
+//
+// Console output is off by default. Turn it on in CONFIG.debug.log or from
+// the URL: ?log=info for everything, ?log=warn,net:debug per category.
+// Independent of that, recent entries (CONFIG.debug.log.bufferLevel and up)
+// are kept in a ring buffer that Logger.download() saves as a JSON file to
+// attach to bug reports.
+
+const LOG_LEVELS = { off: 0, error: 1, warn: 2, info: 3, debug: 4 };
+
+class Logger {
+  constructor(category) {
+    this.category = category;
+  }
+
+  // One logger per category
+  static get(category) {
+    let logger = Logger.loggers.get(category);
+    if (!logger) {
+      logger = new Logger(category);
+      Logger.loggers.set(category, logger);
+    }
+    return logger;
+  }
+
+  error(...args) {
+    Logger.write(this.category, 'error', args);
+  }
+
+  warn(...args) {
+    Logger.write(this.category, 'warn', args);
+  }
+
+  info(...args) {
+    Logger.write(this.category, 'info', args);
+  }
+
+  debug(...args) {
+    Logger.write(this.category, 'debug', args);
+  }
+
+  // Console level of a category - its own setting or the global one
+  static levelFor(category) {
+    const settings = CONFIG.debug.log;
+    return settings.categories[category] || settings.level;
+  }
+
+  // Change console output at runtime, e.g. Logger.setLevel('debug', 'net')
+  static setLevel(level, category = null) {
+    if (category) {
+      CONFIG.debug.log.categories[category] = level;
+    } else {
+      CONFIG.debug.log.level = level;
+    }
+  }
+
+  static write(category, level, args) {
+    const settings = CONFIG.debug.log;
+    const rank = LOG_LEVELS[level];
+
+    if (rank <= LOG_LEVELS[settings.bufferLevel]) {
+      Logger.buffer.push({
+        time: new Date().toISOString(),
+        level: level,
+        category: category,
+        message: args.map(arg => Logger.format(arg)).join(' ')
+      });
+      while (Logger.buffer.length > settings.bufferSize) {
+        Logger.buffer.shift();
+      }
+    }
+
+    if (rank <= (LOG_LEVELS[Logger.levelFor(category)] || 0)) {
+      // console.debug is hidden by default in most browsers
+      const method = level === 'debug' ? 'log' : level;
+      console[method]('[' + category + ']', ...args);
+    }
+  }
+
+  // Plain text for the buffer - objects as JSON, binary payloads by size
+  static format(arg) {
+    if (typeof arg === 'string') {
+      return arg;
+    }
+    if (arg instanceof Error) {
+      return arg.stack || arg.message;
+    }
+    if (arg instanceof ArrayBuffer) {
+      return '<' + arg.byteLength + ' bytes>';
+    }
+    try {
+      return JSON.stringify(arg);
+    } catch (error) {
+      return String(arg);
+    }
+  }
+
+  // Buffered entries, oldest first
+  static entries() {
+    return Logger.buffer.slice();
+  }
+
+  static export() {
+    return {
+      exportedAt: new Date().toISOString(),
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      protocol: CONFIG.protocol,
+      entries: Logger.entries()
+    };
+  }
+
+  // Save the buffer as a JSON file
+  static download() {
+    const blob = new Blob([JSON.stringify(Logger.export(), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'multiplayer-world-log-' + new Date().toISOString().replace(/[:.]/g, '-') + '.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+}
+
+Logger.loggers = new Map(); // category -> Logger
+Logger.buffer = []; // Ring buffer of recent entries, oldest first
+
+// Uncaught errors belong in bug reports too
+if (typeof window !== 'undefined' && window.addEventListener) {
+  window.addEventListener('error', (event) => {
+    Logger.get('page').error('Uncaught error:', event.error || event.message);
+  });
+  window.addEventListener('unhandledrejection', (event) => {
+    Logger.get('page').error('Unhandled promise rejection:', event.reason);
+  });
+}
@@ -0,0 +1,144 @@
+// Network condition simulator for development - injects latency, jitter,
+// packet loss, duplication and reordering into NetworkManager traffic.
+//
+// Every message passes through process() on its way out (before it hits the
+// connection) and on its way in (before handleData). Settings exist per
+// direction, with optional per-peer overrides.
+//
+// The channels behave like the real ones: on the unreliable channel messages
+// are dropped, duplicated and reordered; on the reliable channel a "lost"
+// message is retransmitted late instead, and delivery order is kept.
+//
+// Starts from CONFIG.debug.netSim (settable through sim* URL parameters, see
+// config.js) and can be changed at runtime from the debug panel (L key).
+
+class NetworkSimulator {
+  constructor(settings = {}) {
+    this.enabled = !!settings.enabled;
+    this.conditions = {
+      outbound: NetworkSimulator.normalize(settings.outbound),
+      inbound: NetworkSimulator.normalize(settings.inbound)
+    };
+    this.peerConditions = new Map(); // peerId -> { outbound?, inbound? }
+    this.reliableQueues = new Map(); // "direction:peerId" -> [{ deliverAt, deliver }] (keeps order)
+    this.counters = { delayed: 0, dropped: 0, duplicated: 0, reordered: 0, retransmitted: 0 };
+  }
+
+  // Fill in missing fields. latency / jitter in ms, the rest are 0-1 chances.
+  static normalize(conditions = {}) {
+    return {
+      latency: conditions.latency || 0,
+      jitter: conditions.jitter || 0,
+      loss: conditions.loss || 0,
+      duplicate: conditions.duplicate || 0,
+      reorder: conditions.reorder || 0
+    };
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  // Change conditions for one direction, for everyone or one peer
+  setConditions(direction, conditions, peerId = null) {
+    if (peerId) {
+      const overrides = this.peerConditions.get(peerId) || {};
+      overrides[direction] = NetworkSimulator.normalize({ ...this.getConditions(direction, peerId), ...conditions });
+      this.peerConditions.set(peerId, overrides);
+    } else {
+      this.conditions[direction] = NetworkSimulator.normalize({ ...this.conditions[direction], ...conditions });
+    }
+  }
+
+  clearPeerConditions(peerId) {
+    this.peerConditions.delete(peerId);
+  }
+
+  getConditions(direction, peerId) {
+    const overrides = this.peerConditions.get(peerId);
+    return (overrides && overrides[direction]) || this.conditions[direction];
+  }
+
+  // One-way delay with jitter
+  sampleDelay(conditions) {
+    const jitter = (Math.random() * 2 - 1) * conditions.jitter;
+    return Math.max(0, conditions.latency + jitter);
+  }
+
+  // Run a message through the simulated link. deliver() is called zero,
+  // one or two times, now or later.
+  process(direction, peerId, channel, data, deliver) {
+    if (!this.enabled) {
+      deliver();
+      return;
+    }
+
+    const conditions = this.getConditions(direction, peerId);
+    let delay = this.sampleDelay(conditions);
+
+    if (channel === 'reliable') {
+      // Lost packets get retransmitted after roughly a round trip
+      if (Math.random() < conditions.loss) {
+        delay += conditions.latency * 2 + 50;
+        this.counters.retransmitted++;
+      }
+
+      this.scheduleOrdered(direction + ':' + peerId, delay, deliver);
+      return;
+    }
+
+    if (Math.random() < conditions.loss) {
+      this.counters.dropped++;
+      return;
+    }
+
+    // Held back long enough for later packets to overtake it
+    if (Math.random() < conditions.reorder) {
+      delay += conditions.jitter + 20 + Math.random() * 40;
+      this.counters.reordered++;
+    }
+
+    this.schedule(delay, deliver);
+
+    if (Math.random() < conditions.duplicate) {
+      this.counters.duplicated++;
+      this.schedule(delay + Math.random() * 10, deliver);
+    }
+  }
+
+  schedule(delay, deliver) {
+    if (delay <= 0) {
+      deliver();
+      return;
+    }
+    this.counters.delayed++;
+    setTimeout(deliver, delay);
+  }
+
+  // Ordered channel - a message waits for the ones queued before it, and
+  // whichever timer fires first delivers everything up to its own message
+  // (timers due in the same millisecond may fire in any order).
+  scheduleOrdered(key, delay, deliver) {
+    let queue = this.reliableQueues.get(key);
+    if (!queue) {
+      queue = [];
+      this.reliableQueues.set(key, queue);
+    }
+
+    if (queue.length === 0 && delay <= 0) {
+      deliver();
+      return;
+    }
+
+    const now = Date.now();
+    const previous = queue[queue.length - 1];
+    const entry = { deliverAt: Math.max(now + delay, previous ? previous.deliverAt : 0), deliver };
+    queue.push(entry);
+    this.counters.delayed++;
+    setTimeout(() => {
+      const index = queue.indexOf(entry);
+      if (index === -1) return;
+      queue.splice(0, index + 1).forEach(pending => pending.deliver());
+    }, entry.deliverAt - now);
+  }
+}
@@ -0,0 +1,167 @@
+// Per-peer network statistics - round-trip time, jitter, packet loss and
+// bandwidth in each direction. Fed by NetworkManager's ping/pong and by every
+// message it sends or receives.
+//
+// Loss is measured per direction from the ping sequence numbers: a peer
+// counts the gaps in the pings it receives (inbound loss) and reports that
+// back in its pongs, which gives the sender its outbound loss.
+
+const STATS_LOSS_WINDOW = 30; // Pings considered for loss estimates
+
+class NetStats {
+  constructor() {
+    this.peers = new Map(); // peerId -> stats
+  }
+
+  static now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  // Rough wire size of a message
+  static sizeOf(data) {
+    if (data instanceof ArrayBuffer) {
+      return data.byteLength;
+    }
+    return JSON.stringify(data).length;
+  }
+
+  get(peerId) {
+    let stats = this.peers.get(peerId);
+    if (!stats) {
+      stats = {
+        rtt: null,            // Smoothed round-trip time (ms)
+        jitter: 0,            // Smoothed RTT variation (ms)
+        lastRttSample: null,
+        pingSeq: 0,              // Last ping sequence number sent to this peer
+        pendingPings: new Map(), // seq -> send time
+        receivedPingSeqs: [],    // Recent ping sequence numbers from this peer
+        inboundLoss: 0,       // Fraction of this peer's packets we never got
+        outboundLoss: 0,      // Fraction of our packets the peer never got
+        bytesIn: 0,
+        bytesOut: 0,
+        bytesInPerSecond: 0,
+        bytesOutPerSecond: 0,
+        stalePackets: 0,      // Arrived after a newer packet of the same kind
+        duplicatePackets: 0,  // Arrived twice
+        lastSample: NetStats.now()
+      };
+      this.peers.set(peerId, stats);
+    }
+    return stats;
+  }
+
+  remove(peerId) {
+    this.peers.delete(peerId);
+  }
+
+  recordBytes(peerId, direction, bytes) {
+    const stats = this.get(peerId);
+    if (direction === 'in') {
+      stats.bytesIn += bytes;
+    } else {
+      stats.bytesOut += bytes;
+    }
+  }
+
+  // A sequenced packet was dropped - reason is 'stale' or 'duplicate'
+  recordDropped(peerId, reason) {
+    const stats = this.get(peerId);
+    if (reason === 'duplicate') {
+      stats.duplicatePackets++;
+    } else {
+      stats.stalePackets++;
+    }
+  }
+
+  // Number the next ping to this peer and remember when it left. Each peer
+  // gets its own sequence, so gaps on its side mean lost pings only.
+  recordPingSent(peerId) {
+    const stats = this.get(peerId);
+    const seq = ++stats.pingSeq;
+    stats.pendingPings.set(seq, NetStats.now());
+
+    // Pings that never came back stop mattering after a while
+    if (stats.pendingPings.size > STATS_LOSS_WINDOW) {
+      stats.pendingPings.delete(stats.pendingPings.keys().next().value);
+    }
+    return seq;
+  }
+
+  // A ping arrived from the peer - track gaps for inbound loss
+  recordPingReceived(peerId, seq) {
+    const stats = this.get(peerId);
+    const seqs = stats.receivedPingSeqs;
+
+    // Peer restarted its counter (reconnect) - start over
+    if (seqs.length > 0 && seq < seqs[seqs.length - 1]) {
+      seqs.length = 0;
+    }
+    seqs.push(seq);
+    if (seqs.length > STATS_LOSS_WINDOW) {
+      seqs.shift();
+    }
+
+    const expected = seqs[seqs.length - 1] - seqs[0] + 1;
+    stats.inboundLoss = expected > 0 ? 1 - seqs.length / expected : 0;
+  }
+
+  // Our ping came back - sample RTT and jitter (RFC 3550 style smoothing)
+  recordPong(peerId, seq, remoteInboundLoss) {
+    const stats = this.get(peerId);
+    const sentAt = stats.pendingPings.get(seq);
+    if (sentAt === undefined) return;
+    stats.pendingPings.delete(seq);
+
+    const sample = NetStats.now() - sentAt;
+    if (stats.rtt === null) {
+      stats.rtt = sample;
+    } else {
+      stats.rtt += (sample - stats.rtt) / 8;
+    }
+    if (stats.lastRttSample !== null) {
+      stats.jitter += (Math.abs(sample - stats.lastRttSample) - stats.jitter) / 16;
+    }
+    stats.lastRttSample = sample;
+
+    if (typeof remoteInboundLoss === 'number') {
+      stats.outboundLoss = remoteInboundLoss;
+    }
+  }
+
+  // Turn byte counters into rates - call about once a second
+  sample() {
+    const now = NetStats.now();
+    this.peers.forEach(stats => {
+      const elapsed = (now - stats.lastSample) / 1000;
+      if (elapsed <= 0) return;
+
+      stats.bytesInPerSecond = stats.bytesIn / elapsed;
+      stats.bytesOutPerSecond = stats.bytesOut / elapsed;
+      stats.bytesIn = 0;
+      stats.bytesOut = 0;
+      stats.lastSample = now;
+    });
+  }
+
+  getRtt(peerId) {
+    const stats = this.peers.get(peerId);
+    return stats && stats.rtt !== null ? Math.round(stats.rtt) : null;
+  }
+
+  // Plain summary for display
+  getSummary(peerId) {
+    const stats = this.peers.get(peerId);
+    if (!stats) return null;
+
+    return {
+      rtt: stats.rtt !== null ? Math.round(stats.rtt) : null,
+      jitter: Math.round(stats.jitter),
+      inboundLoss: stats.inboundLoss,
+      outboundLoss: stats.outboundLoss,
+      bytesInPerSecond: stats.bytesInPerSecond,
+      bytesOutPerSecond: stats.bytesOutPerSecond,
+      stalePackets: stats.stalePackets,
+      duplicatePackets: stats.duplicatePackets
+    };
+  }
+}
@@ -1,118 +1,169 @@
-// WebRTC P2P networking with PeerJS - optimized for low latency
+// Which channel each message type travels on. Control and chat messages must
+// arrive, in order (reliable). State, input and heartbeats are superseded by
+// the next one anyway, so they skip retransmission (unreliable).
+// Binary payloads (gameState snapshots) are unreliable; unknown types reliable.
+// A lost snapshotAck only costs bigger deltas: the codec sends a full snapshot
+// once the last ack is too old, or when the client acks 0 (no baseline).
+const MESSAGE_CHANNELS = {
+  hello: 'reliable',
+  welcome: 'reliable',
+  joinPending: 'reliable',
+  reject: 'reliable',
+  init: 'reliable',
+  playerInfo: 'reliable',
+  playerJoined: 'reliable',
+  playerLeft: 'reliable',
+  spectatorJoined: 'reliable',
+  spectatorLeft: 'reliable',
+  chat: 'reliable',
+  roomSettings: 'reliable',
+  gameState: 'unreliable',
+  snapshotAck: 'unreliable',
+  input: 'unreliable',
+  ping: 'unreliable',
+  pong: 'unreliable',
+  pings: 'unreliable'
+};
+
+// P2P networking over a pluggable transport (PeerJS by default) - optimized for low latency
 class NetworkManager {
-  constructor() {
-    this.peer = null;
+  constructor(transport = null) {
+    this.log = Logger.get('net');
+    this.transport = transport || NetworkManager.createDefaultTransport();
     this.peerId = null;
     this.isHost = false;
-    this.roomId = null;
-
-    // P2P connections
-    this.connections = new Map(); // peerId -> DataConnection
-    this.hostConnection = null; // For clients: connection to host
-
-    // Heartbeat tracking
+    this.roomId = null; // Host's peer ID
+    this.roomCode = null; // Short code players type in (host only)
+
+    // P2P connections - every peer gets a reliable and an unreliable channel.
+    // The reliable one defines whether the peer is connected.
+    this.connections = new Map(); // peerId -> reliable DataConnection
+    this.unreliableConnections = new Map(); // peerId -> unreliable DataConnection
+    this.hostConnection = null; // For clients: reliable connection to host
+    this.hostUnreliableConnection = null; // For clients: unreliable connection to host
+    this.pendingHandshakes = new Map(); // peerId -> incoming connection that has not said hello yet
+
+    // Heartbeat tracking (pings double as RTT / loss probes)
     this.lastHeartbeat = new Map(); // peerId -> timestamp
+    this.stats = new NetStats();
+    this.simulator = new NetworkSimulator(CONFIG.debug.netSim); // Debug: fake latency / loss
+    this.statsInterval = null;
     this.heartbeatInterval = null;
     this.heartbeatCheckInterval = null;
+    this.hostWatchdogInterval = null; // For clients: detects a silent host
+
+    // Pending joinRoom attempt (so peer-level errors can fail it fast)
+    this.pendingJoin = null;
 
     // Event handlers
     this.handlers = {
       onConnect: null,
       onDisconnect: null,
-      onData: null
+      onData: null,
+      onJoinRequest: null,          // Host: decide on a peer that passed the handshake
+      onJoinRequestCancelled: null, // Host: a peer left while waiting for that decision
+      onJoinPending: null           // Client: the host is still deciding on us
     };
   }
 
-  // Initialize PeerJS
-  async init() {
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('PeerJS connection timeout'));
-      }, 10000);
-
-      // Use PeerJS cloud server
-      this.peer = new Peer({
-        config: {
-          iceServers: [
-            { urls: 'stun:stun.l.google.com:19302' },
-            { urls: 'stun:stun1.l.google.com:19302' }
-          ]
-        }
-      });
-
-      this.peer.on('open', (id) => {
-        clearTimeout(timeout);
-        this.peerId = id;
-        console.log('✅ PeerJS connected:', this.peerId);
-        resolve(this.peerId);
-      });
+  // Pick the transport from CONFIG.network.transport
+  static createDefaultTransport() {
+    switch (CONFIG.network.transport) {
+      case 'loopback':
+        return new LoopbackTransport();
+      case 'broadcast':
+        return new BroadcastChannelTransport(CONFIG.network.broadcastChannel);
+      default:
+        return PeerJSTransport.fromConfig(CONFIG.server);
+    }
+  }
 
-      this.peer.on('error', (error) => {
-        clearTimeout(timeout);
-        console.error('❌ PeerJS error:', error);
-        reject(error);
-      });
+  // Initialize the transport and get our peer ID
+  async init() {
+    this.transport.on('error', (error) => {
+      this.log.error('Transport error:', error);
+
+      // Connecting to a peer that no longer exists is reported on the
+      // transport, not on the connection - fail the pending join right away
+      if (error.type === 'peer-unavailable' && this.pendingJoin &&
+          (!error.peerId || error.peerId === this.pendingJoin.peerId)) {
+        this.pendingJoin.reject(error);
+      }
+    });
 
-      // Listen for incoming connections (host only)
-      this.peer.on('connection', (conn) => {
-        console.log('📥 Incoming connection from:', conn.peer);
+    // Listen for incoming connections (host only)
+    this.transport.on('connection', (conn) => {
+      this.log.info('Incoming connection from:', conn.peer, (conn.metadata && conn.metadata.channel) || 'reliable');
+      if (conn.metadata && conn.metadata.channel === 'unreliable') {
+        this.setupUnreliableConnection(conn);
+      } else {
         this.setupConnection(conn);
-      });
+      }
     });
+
+    this.peerId = await this.transport.init();
+    this.log.info('Transport ready:', this.peerId);
+
+    // Turn byte counters into per-second rates
+    this.statsInterval = setInterval(() => this.stats.sample(), 1000);
+
+    return this.peerId;
   }
 
-  // Setup DataConnection with optimal settings
-  setupConnection(conn) {
+  // Setup DataConnection with optimal settings.
+  // outgoing: we opened it (client -> host) and introduce ourselves with a
+  // hello; incoming connections only count once their hello is accepted.
+  setupConnection(conn, outgoing = false) {
     // Wait for connection to open
     conn.on('open', () => {
-      console.log('✅ Connection opened with:', conn.peer);
-      this.connections.set(conn.peer, conn);
-      this.lastHeartbeat.set(conn.peer, Date.now());
-
-      if (this.handlers.onConnect) {
-        this.handlers.onConnect(conn.peer);
-      }
-    });
-
-    // Handle incoming data
-    conn.on('data', (data) => {
-      // Update heartbeat timestamp for any received data
-      this.lastHeartbeat.set(conn.peer, Date.now());
-
-      // Handle ping/pong
-      if (data.type === 'ping') {
-        // Client responds to host's ping
-        console.log('💓 Received ping from host, sending pong');
-        conn.send({ type: 'pong' });
-        return;
-      } else if (data.type === 'pong') {
-        // Host receives pong from client
-        console.log('💓 Received pong from', conn.peer);
+      this.log.info('Connection opened with:', conn.peer);
+
+      if (outgoing) {
+        this.registerConnection(conn);
+        this.sendOnChannel(conn.peer, {
+          ...conn._hello,
+          type: 'hello',
+          protocol: CONFIG.protocol.version,
+          features: CONFIG.protocol.features
+        });
         return;
       }
 
-      console.log('📥 Received data from', conn.peer, ':', data.type);
-      if (this.handlers.onData) {
-        this.handlers.onData(conn.peer, data);
+      const previous = this.pendingHandshakes.get(conn.peer);
+      if (previous) {
+        this.forgetHandshake(previous);
+        previous.close();
       }
+
+      this.pendingHandshakes.set(conn.peer, conn);
+      conn._handshakeTimeout = setTimeout(() => {
+        if (this.pendingHandshakes.get(conn.peer) === conn) {
+          this.rejectPeer(conn.peer, 'No handshake received - your game is out of date, please reload the page');
+        }
+      }, CONFIG.network.handshakeTimeout);
     });
 
+    // Handle incoming data
+    conn.on('data', (data) => this.receive(conn.peer, 'reliable', data));
+
     // Handle disconnection
     conn.on('close', () => {
-      console.log('❌ Connection closed:', conn.peer);
-      this.cleanupConnection(conn.peer);
+      this.log.info('Connection closed:', conn.peer);
+      this.cancelHandshake(conn);
+      this.cleanupConnection(conn.peer, conn);
     });
 
     conn.on('error', (error) => {
-      console.error('❌ Connection error with', conn.peer, ':', error);
-      this.cleanupConnection(conn.peer);
+      this.log.error('Connection error with', conn.peer, ':', error);
+      this.cancelHandshake(conn);
+      this.cleanupConnection(conn.peer, conn);
     });
 
     // Check connection status periodically (for detecting disconnects)
     const checkInterval = setInterval(() => {
-      if (!conn.open && this.connections.has(conn.peer)) {
-        console.log('⚠️ Detected closed connection:', conn.peer);
-        this.cleanupConnection(conn.peer);
+      if (!conn.open && this.connections.get(conn.peer) === conn) {
+        this.log.warn('Detected closed connection:', conn.peer);
+        this.cleanupConnection(conn.peer, conn);
         clearInterval(checkInterval);
       }
     }, 1000);
@@ -121,32 +172,369 @@ class NetworkManager {
     conn._checkInterval = checkInterval;
   }
 
-  // Cleanup connection and notify disconnect
-  cleanupConnection(peerId) {
+  // Make conn the peer's reliable connection
+  registerConnection(conn) {
+    // A peer reconnecting before we noticed the old connection drop
+    const previous = this.connections.get(conn.peer);
+    this.connections.set(conn.peer, conn);
+    if (previous && previous !== conn) {
+      this.log.info('Replacing stale connection with:', conn.peer);
+      clearInterval(previous._checkInterval);
+      previous.close();
+    }
+
+    this.lastHeartbeat.set(conn.peer, Date.now());
+  }
+
+  forgetHandshake(conn) {
+    clearTimeout(conn._handshakeTimeout);
+    if (this.pendingHandshakes.get(conn.peer) === conn) {
+      this.pendingHandshakes.delete(conn.peer);
+    }
+  }
+
+  // A connection closed before it was let in
+  cancelHandshake(conn) {
+    if (this.pendingHandshakes.get(conn.peer) !== conn) return;
+
+    this.forgetHandshake(conn);
+    if (this.handlers.onJoinRequestCancelled) {
+      this.handlers.onJoinRequestCancelled(conn.peer);
+    }
+  }
+
+  // Reason the other side's hello (we are host) or welcome (we are the
+  // client) is incompatible with us, or null
+  static checkCompatibility(message, weAreHost) {
+    const hostVersion = weAreHost ? CONFIG.protocol.version : message.protocol;
+    const clientVersion = weAreHost ? message.protocol : CONFIG.protocol.version;
+    if (hostVersion !== clientVersion) {
+      return 'Version mismatch: the host runs protocol v' + hostVersion + ', the client v' + clientVersion +
+        '. Whoever is older should reload the page (Ctrl+Shift+R).';
+    }
+
+    const features = message.features || [];
+    const missing = CONFIG.protocol.features.filter(feature => !features.includes(feature));
+    if (missing.length > 0) {
+      return 'Incompatible build: the ' + (weAreHost ? 'client' : 'host') + ' lacks ' + missing.join(', ') +
+        '. Reload the page (Ctrl+Shift+R) to update.';
+    }
+
+    return null;
+  }
+
+  // A connecting peer introduced itself (host side). Compatible peers go to
+  // the onJoinRequest handler (password / approval checks) if there is one,
+  // which answers with admitPeer, deferPeer or rejectPeer.
+  handleHello(peerId, hello) {
+    const conn = this.pendingHandshakes.get(peerId);
+    if (!conn) return;
+
+    const reason = NetworkManager.checkCompatibility(hello, true);
+    if (reason) {
+      this.log.warn('Incompatible peer:', peerId, reason);
+      this.rejectPeer(peerId, reason);
+      return;
+    }
+
+    // The peer is talking to us - no more handshake timeout
+    clearTimeout(conn._handshakeTimeout);
+
+    conn._hello = hello; // Handed to onConnect once the peer is let in
+    if (this.handlers.onJoinRequest) {
+      this.handlers.onJoinRequest(peerId, hello);
+    } else {
+      this.admitPeer(peerId);
+    }
+  }
+
+  // Keep a peer waiting for a decision (host side)
+  deferPeer(peerId) {
+    const conn = this.pendingHandshakes.get(peerId);
+    if (conn && conn.open) {
+      conn.send({ type: 'joinPending' });
+    }
+  }
+
+  // Let a peer that passed the handshake in
+  admitPeer(peerId) {
+    const conn = this.pendingHandshakes.get(peerId);
+    if (!conn) return;
+
+    this.forgetHandshake(conn);
+    this.registerConnection(conn);
+    this.sendOnChannel(peerId, {
+      type: 'welcome',
+      protocol: CONFIG.protocol.version,
+      features: CONFIG.protocol.features
+    });
+
+    if (this.handlers.onConnect) {
+      this.handlers.onConnect(conn.peer, conn._hello || {});
+    }
+  }
+
+  // Tell a peer why it cannot join, then hang up
+  rejectPeer(peerId, reason) {
+    const conn = this.pendingHandshakes.get(peerId) || this.connections.get(peerId);
+    if (!conn) return;
+
+    this.log.info('Rejecting', peerId, ':', reason);
+    this.forgetHandshake(conn);
+    if (conn.open) {
+      conn.send({ type: 'reject', reason: reason });
+    }
+
+    // Give the message a moment to go out before closing
+    setTimeout(() => {
+      conn.close();
+      const unreliable = this.unreliableConnections.get(peerId);
+      if (unreliable && !this.connections.has(peerId)) {
+        this.unreliableConnections.delete(peerId);
+        unreliable.close();
+      }
+    }, 500);
+  }
+
+  // The host answered our hello (client side)
+  handleJoinReply(peerId, data) {
+    const pending = this.pendingJoin;
+    if (!pending || pending.peerId !== peerId) return false;
+
+    if (data.type === 'welcome') {
+      const reason = NetworkManager.checkCompatibility(data, false);
+      if (reason) {
+        pending.reject(NetworkManager.rejectionError(reason));
+      } else {
+        pending.resolve();
+      }
+    } else if (data.type === 'joinPending') {
+      pending.wait();
+      if (this.handlers.onJoinPending) {
+        this.handlers.onJoinPending(peerId);
+      }
+    } else {
+      pending.reject(NetworkManager.rejectionError(data.reason));
+    }
+    return true;
+  }
+
+  static rejectionError(reason) {
+    const error = new Error(reason || 'Rejected by host');
+    error.type = 'rejected';
+    return error;
+  }
+
+  // Setup the unreliable companion channel of a peer. Losing it alone does not
+  // disconnect the peer - messages fall back to the reliable channel.
+  setupUnreliableConnection(conn) {
+    conn.on('open', () => {
+      this.log.info('Unreliable channel opened with:', conn.peer);
+      const previous = this.unreliableConnections.get(conn.peer);
+      this.unreliableConnections.set(conn.peer, conn);
+      if (previous && previous !== conn) {
+        previous.close();
+      }
+    });
+
+    conn.on('data', (data) => this.receive(conn.peer, 'unreliable', data));
+
+    const forget = () => {
+      if (this.unreliableConnections.get(conn.peer) === conn) {
+        this.unreliableConnections.delete(conn.peer);
+      }
+    };
+    conn.on('close', forget);
+    conn.on('error', forget);
+  }
+
+  // Raw data off a connection - goes through the network simulator first
+  receive(peerId, channel, data) {
+    this.simulator.process('inbound', peerId, channel, data, () => this.handleData(peerId, data));
+  }
+
+  // Data from either channel of a peer
+  handleData(peerId, data) {
+    // Handshake
+    if (data.type === 'hello') {
+      this.handleHello(peerId, data);
+      return;
+    }
+    if ((data.type === 'welcome' || data.type === 'joinPending' || data.type === 'reject') &&
+        this.handleJoinReply(peerId, data)) {
+      return;
+    }
+    if (data.type === 'init' && this.pendingJoin && this.pendingJoin.peerId === peerId) {
+      // Hosts from before the handshake send init straight away
+      this.pendingJoin.reject(NetworkManager.rejectionError('The host runs an older version of the game - ask them to reload the page (Ctrl+Shift+R)'));
+      return;
+    }
+
+    // Nothing else counts until the peer is through the handshake
+    if (!this.connections.has(peerId)) return;
+
+    // Update heartbeat timestamp for any received data
+    this.lastHeartbeat.set(peerId, Date.now());
+    this.stats.recordBytes(peerId, 'in', NetStats.sizeOf(data));
+
+    // Handle ping/pong - echo the sequence back along with how many of the
+    // peer's pings we missed, so it can tell loss per direction
+    if (data.type === 'ping') {
+      this.stats.recordPingReceived(peerId, data.seq);
+      this.sendOnChannel(peerId, {
+        type: 'pong',
+        seq: data.seq,
+        loss: this.stats.get(peerId).inboundLoss
+      });
+      return;
+    } else if (data.type === 'pong') {
+      this.stats.recordPong(peerId, data.seq, data.loss);
+      return;
+    }
+
+    if (!(data instanceof ArrayBuffer)) {
+      this.log.debug('Received data from', peerId, ':', data.type);
+    }
+    if (this.handlers.onData) {
+      this.handlers.onData(peerId, data);
+    }
+  }
+
+  // Channel a message belongs on, from MESSAGE_CHANNELS
+  static channelFor(data) {
+    if (data instanceof ArrayBuffer) {
+      return 'unreliable';
+    }
+    return MESSAGE_CHANNELS[data.type] || 'reliable';
+  }
+
+  // Send to one peer on the channel its message type is declared for.
+  // Goes through the network simulator, which may delay or drop it.
+  sendOnChannel(peerId, data) {
+    const channel = NetworkManager.channelFor(data);
+    this.simulator.process('outbound', peerId, channel, data, () => this.transmit(peerId, channel, data));
+  }
+
+  // Put a message on the wire, falling back to the reliable channel if the
+  // unreliable one is not open
+  transmit(peerId, channel, data) {
+    let conn = this.connections.get(peerId);
+
+    if (channel === 'unreliable') {
+      const unreliable = this.unreliableConnections.get(peerId);
+      if (unreliable && unreliable.open) {
+        conn = unreliable;
+      }
+    }
+
+    if (conn && conn.open) {
+      conn.send(data);
+      this.stats.recordBytes(peerId, 'out', NetStats.sizeOf(data));
+    }
+  }
+
+  // Timestamped ping - the pong gives us RTT and jitter
+  sendPing(peerId) {
+    const seq = this.stats.recordPingSent(peerId);
+    this.sendOnChannel(peerId, { type: 'ping', seq: seq });
+  }
+
+  // Cleanup connection and notify disconnect.
+  // When conn is given, only clean up if it is still the current connection
+  // for that peer (a reconnect may already have replaced it).
+  cleanupConnection(peerId, conn = null) {
+    if (conn && this.connections.has(peerId) && this.connections.get(peerId) !== conn) {
+      this.log.debug('Ignoring close of replaced connection:', peerId);
+      return;
+    }
+
     const wasConnected = this.connections.has(peerId);
 
-    console.log('🧹 NETWORK: cleanupConnection called for:', peerId, 'wasConnected:', wasConnected);
+    this.log.debug('cleanupConnection called for:', peerId, 'wasConnected:', wasConnected);
 
     this.connections.delete(peerId);
     this.lastHeartbeat.delete(peerId);
+    this.stats.remove(peerId);
+
+    const unreliable = this.unreliableConnections.get(peerId);
+    if (unreliable) {
+      this.unreliableConnections.delete(peerId);
+      unreliable.close();
+    }
 
     if (wasConnected && this.handlers.onDisconnect) {
-      console.log('🔔 NETWORK: Calling onDisconnect handler for:', peerId);
+      this.log.debug('Calling onDisconnect handler for:', peerId);
       this.handlers.onDisconnect(peerId);
     } else {
-      console.log('⚠️ NETWORK: No handler or already disconnected:', peerId);
+      this.log.debug('No handler or already disconnected:', peerId);
     }
   }
 
   // Create room (become host)
+  // Returns what players type in to join: a short room code, or the
+  // plain peer ID if no code could be claimed
   async createRoom() {
+    this.roomCode = await this.claimRoomCode();
     this.isHost = true;
-    this.roomId = this.peerId; // Use Peer ID as room code
+    this.roomId = this.peerId;
 
     // Start heartbeat system for host
     this.startHeartbeat();
 
-    console.log('🏠 Room created:', this.roomId);
+    this.log.info('Room created:', this.roomId);
+    return this.roomCode || this.roomId;
+  }
+
+  // Re-register under prefix + a random code, retrying on collisions
+  async claimRoomCode() {
+    const roomCodeConfig = CONFIG.network.roomCode;
+
+    for (let attempt = 0; attempt < roomCodeConfig.attempts; attempt++) {
+      const code = NetworkManager.generateRoomCode();
+      try {
+        this.transport.destroy();
+        this.peerId = await this.transport.init(roomCodeConfig.prefix + code);
+        this.log.info('Claimed room code:', code);
+        return code;
+      } catch (error) {
+        if (error.type !== 'unavailable-id') throw error;
+        this.log.warn('Room code taken, trying another:', code);
+      }
+    }
+
+    // Unlucky or the server refuses - a random peer ID still works as a room ID
+    this.transport.destroy();
+    this.peerId = await this.transport.init();
+    return null;
+  }
+
+  static generateRoomCode() {
+    const { alphabet, length } = CONFIG.network.roomCode;
+    const bytes = new Uint8Array(length);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+  }
+
+  // Peer ID to connect to for what a player typed in - a room code in any
+  // case (spaces and dashes ignored) or a full peer ID
+  static roomPeerId(input) {
+    const { prefix, alphabet, length } = CONFIG.network.roomCode;
+    const code = input.trim().toUpperCase().replace(/[\s-]/g, '');
+    const isCode = code.length === length && Array.from(code).every(c => alphabet.includes(c));
+    return isCode ? prefix + code : input.trim();
+  }
+
+  // Take over as host of the room after a host migration
+  promoteToHost() {
+    this.stopHostWatchdog();
+    this.isHost = true;
+    this.roomId = this.peerId;
+    this.hostConnection = null;
+    this.hostUnreliableConnection = null;
+
+    this.startHeartbeat();
+
+    this.log.info('Promoted to host:', this.roomId);
     return this.roomId;
   }
 
@@ -154,32 +542,30 @@ class NetworkManager {
   startHeartbeat() {
     if (!this.isHost) return;
 
-    // Send ping to all clients every 3 seconds
+    // Ping all clients every second
     this.heartbeatInterval = setInterval(() => {
       this.connections.forEach((conn, peerId) => {
-        if (conn.open) {
-          conn.send({ type: 'ping' });
-        }
+        this.sendPing(peerId);
       });
-    }, 3000);
+    }, CONFIG.network.pingInterval);
 
     // Check for dead connections every 5 seconds
     this.heartbeatCheckInterval = setInterval(() => {
       const now = Date.now();
-      const timeout = 10000; // 10 seconds timeout
+      const timeout = CONFIG.network.hostTimeout;
 
-      console.log('💓 HEARTBEAT CHECK: Active connections:', this.connections.size);
+      this.log.debug('Heartbeat check - active connections:', this.connections.size);
       this.lastHeartbeat.forEach((lastTime, peerId) => {
         const timeSinceLastBeat = now - lastTime;
-        console.log('💓 Peer:', peerId, 'Last beat:', timeSinceLastBeat + 'ms ago');
+        this.log.debug('Peer:', peerId, 'Last beat:', timeSinceLastBeat + 'ms ago');
         if (timeSinceLastBeat > timeout) {
-          console.log('💀 Heartbeat timeout for:', peerId, '(', timeSinceLastBeat, 'ms)');
+          this.log.warn('Heartbeat timeout for:', peerId, '(', timeSinceLastBeat, 'ms)');
           this.cleanupConnection(peerId);
         }
       });
     }, 5000);
 
-    console.log('💓 Heartbeat system started');
+    this.log.info('Heartbeat system started');
   }
 
   // Stop heartbeat system
@@ -194,36 +580,131 @@ class NetworkManager {
     }
   }
 
-  // Join room (become client)
-  async joinRoom(hostPeerId) {
+  // Ping the host and watch for it going silent (client only) - a closed tab
+  // does not always fire 'close' on the DataConnection, so fall back to a timeout
+  startHostWatchdog() {
+    this.stopHostWatchdog();
+
+    this.hostWatchdogInterval = setInterval(() => {
+      if (this.isHost || !this.hostConnection) return;
+
+      const hostId = this.hostConnection.peer;
+      if (this.hostConnection.open) {
+        this.sendPing(hostId);
+      }
+
+      const lastTime = this.lastHeartbeat.get(hostId);
+      if (lastTime && Date.now() - lastTime > CONFIG.network.hostTimeout) {
+        this.log.warn('Host went silent:', hostId);
+        this.cleanupConnection(hostId);
+      }
+    }, CONFIG.network.pingInterval);
+  }
+
+  stopHostWatchdog() {
+    if (this.hostWatchdogInterval) {
+      clearInterval(this.hostWatchdogInterval);
+      this.hostWatchdogInterval = null;
+    }
+  }
+
+  // Re-register with the signaling server if we lost it (needed to reconnect)
+  reconnectSignaling() {
+    if (this.transport.disconnected && !this.transport.destroyed) {
+      this.log.info('Reconnecting to signaling server');
+      this.transport.reconnect();
+    }
+  }
+
+  // Join room (become client). hello is handed to the host's onJoinRequest
+  // and onConnect. Its fields (name, password, resume token) only go over the
+  // encrypted connection itself, never through the signaling server.
+  async joinRoom(hostPeerId, timeoutMs = 10000, hello = {}) {
     this.roomId = hostPeerId;
     this.isHost = false;
 
-    console.log('🔗 Connecting to host:', hostPeerId);
+    this.log.info('Connecting to host:', hostPeerId);
+
+    // Drop any previous host connection (e.g. when following a host migration)
+    if (this.hostConnection) {
+      const oldConn = this.hostConnection;
+      this.hostConnection = null;
+      clearInterval(oldConn._checkInterval);
+      this.connections.delete(oldConn.peer);
+      this.lastHeartbeat.delete(oldConn.peer);
+      oldConn.close();
+    }
+    if (this.hostUnreliableConnection) {
+      const oldConn = this.hostUnreliableConnection;
+      this.hostUnreliableConnection = null;
+      this.unreliableConnections.delete(oldConn.peer);
+      oldConn.close();
+    }
+
+    // Reliable, ordered channel for control and chat messages
+    const conn = this.transport.connect(hostPeerId, {
+      reliable: true,
+      serialization: 'binary', // Carries both objects and binary snapshots
+      metadata: { channel: 'reliable' }
+    });
 
-    // Connect to host with optimized DataChannel settings
-    const conn = this.peer.connect(hostPeerId, {
-      reliable: false, // UDP-like behavior
-      serialization: 'json'
+    // Unreliable channel for state and input (UDP-like behavior)
+    const unreliableConn = this.transport.connect(hostPeerId, {
+      reliable: false,
+      serialization: 'binary',
+      metadata: { channel: 'unreliable' }
     });
 
     this.hostConnection = conn;
-    this.setupConnection(conn);
+    this.hostUnreliableConnection = unreliableConn;
+    conn._hello = hello;
+    this.setupConnection(conn, true);
+    this.setupUnreliableConnection(unreliableConn);
 
     return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Connection timeout - Host may be offline'));
-      }, 10000);
-
-      conn.on('open', () => {
+      const fail = (error) => {
         clearTimeout(timeout);
-        console.log('✅ Connected to host');
-        resolve();
-      });
+        this.pendingJoin = null;
+        clearInterval(conn._checkInterval);
+        if (this.hostConnection === conn) {
+          this.hostConnection = null;
+        }
+        if (this.hostUnreliableConnection === unreliableConn) {
+          this.hostUnreliableConnection = null;
+        }
+        conn.close();
+        unreliableConn.close();
+        reject(error);
+      };
+
+      let timeout = setTimeout(() => {
+        fail(new Error('Connection timeout - Host may be offline'));
+      }, timeoutMs);
+
+      // Settled by the host's welcome or reject (see handleJoinReply)
+      this.pendingJoin = {
+        peerId: hostPeerId,
+        reject: fail,
+        // The host asked us to wait for its approval - give it longer
+        wait: () => {
+          clearTimeout(timeout);
+          timeout = setTimeout(() => {
+            fail(NetworkManager.rejectionError('The host did not answer the join request'));
+          }, CONFIG.network.joinApprovalTimeout);
+        },
+        resolve: () => {
+          clearTimeout(timeout);
+          this.pendingJoin = null;
+          this.log.info('Connected to host');
+          this.startHostWatchdog();
+          resolve();
+        }
+      };
 
       conn.on('error', (error) => {
-        clearTimeout(timeout);
-        reject(error);
+        if (this.pendingJoin) {
+          fail(error);
+        }
       });
     });
   }
@@ -231,39 +712,34 @@ class NetworkManager {
   // Send data to all clients (host only)
   send(data) {
     if (!this.isHost) {
-      console.error('❌ Only host can broadcast');
+      this.log.error('Only host can broadcast');
       return;
     }
 
     this.connections.forEach((conn, peerId) => {
-      if (conn.open) {
-        conn.send(data);
-      }
+      this.sendOnChannel(peerId, data);
     });
   }
 
   // Send data to specific peer (host only)
   sendTo(peerId, data) {
     if (!this.isHost) {
-      console.error('❌ Only host can send to specific peer');
+      this.log.error('Only host can send to specific peer');
       return;
     }
 
-    const conn = this.connections.get(peerId);
-    if (conn && conn.open) {
-      conn.send(data);
-    }
+    this.sendOnChannel(peerId, data);
   }
 
   // Send data to host (client only)
   sendToHost(data) {
     if (this.isHost) {
-      console.error('❌ Host cannot send to itself');
+      this.log.error('Host cannot send to itself');
       return;
     }
 
     if (this.hostConnection && this.hostConnection.open) {
-      this.hostConnection.send(data);
+      this.sendOnChannel(this.hostConnection.peer, data);
     }
   }
 
@@ -280,10 +756,24 @@ class NetworkManager {
     this.handlers.onData = handler;
   }
 
+  onJoinRequest(handler) {
+    this.handlers.onJoinRequest = handler;
+  }
+
+  onJoinRequestCancelled(handler) {
+    this.handlers.onJoinRequestCancelled = handler;
+  }
+
+  onJoinPending(handler) {
+    this.handlers.onJoinPending = handler;
+  }
+
   // Cleanup
   destroy() {
     // Stop heartbeat
     this.stopHeartbeat();
+    this.stopHostWatchdog();
+    clearInterval(this.statsInterval);
 
     this.connections.forEach(conn => {
       if (conn._checkInterval) {
@@ -292,6 +782,13 @@ class NetworkManager {
       conn.close();
     });
     this.connections.clear();
+    this.pendingHandshakes.forEach(conn => {
+      clearTimeout(conn._handshakeTimeout);
+      conn.close();
+    });
+    this.pendingHandshakes.clear();
+    this.unreliableConnections.forEach(conn => conn.close());
+    this.unreliableConnections.clear();
     this.lastHeartbeat.clear();
 
     if (this.hostConnection) {
@@ -301,8 +798,6 @@ class NetworkManager {
       this.hostConnection.close();
     }
 
-    if (this.peer) {
-      this.peer.destroy();
-    }
+    this.transport.destroy();
   }
 }
@@ -0,0 +1,330 @@
+// Shared movement simulation - the one step function both the host
+// (authoritative) and the client (prediction) run.
+//
+// Time advances in fixed ticks of 1 / config.tickRate seconds: callers
+// accumulate real time in a FixedStepper and step once per whole tick, so
+// the same inputs produce bit-identical results on every machine. Only
+// +, -, *, / and sqrt touch position and velocity; the one trigonometric
+// result they depend on (the camera-relative move direction) is rounded to a
+// fixed grid first, since Math.sin / Math.cos may differ in the last bit
+// between browsers.
+
+const PHYSICS_DIRECTION_STEPS = 65536; // Move direction grid (1 / 65536)
+const PHYSICS_IDLE_INPUT = {}; // What a dead body "presses"
+const PHYSICS_HALF_SIZE = 0.5; // Player boxes are 1 x 1 x 1
+const PHYSICS_STEP_UP = 0.6; // Highest ramp surface a body walks up onto rather than into
+const PHYSICS_STICK_DOWN = 0.15; // Bodies walking down a ramp stay on it within this
+
+class Physics {
+  // Camera-relative move direction for an input, on the fixed grid
+  static moveDirection(input) {
+    let moveX = 0;
+    let moveZ = 0;
+
+    if (input.forward) moveZ -= 1;
+    if (input.backward) moveZ += 1;
+    if (input.left) moveX -= 1;
+    if (input.right) moveX += 1;
+
+    // Normalize
+    const length = Math.sqrt(moveX * moveX + moveZ * moveZ);
+    if (length > 0) {
+      moveX /= length;
+      moveZ /= length;
+    }
+
+    // Rotate by camera yaw
+    const yaw = input.cameraYaw || 0;
+    const rotatedX = moveX * Math.cos(-yaw) - moveZ * Math.sin(-yaw);
+    const rotatedZ = moveX * Math.sin(-yaw) + moveZ * Math.cos(-yaw);
+
+    return {
+      x: Math.round(rotatedX * PHYSICS_DIRECTION_STEPS) / PHYSICS_DIRECTION_STEPS,
+      z: Math.round(rotatedZ * PHYSICS_DIRECTION_STEPS) / PHYSICS_DIRECTION_STEPS
+    };
+  }
+
+  // Advance one body by one tick. body is a player state (position,
+  // velocity, dash, jump and knockback fields), input the held keys plus
+  // cameraYaw. Dead bodies ignore their input and just fall. obstacles are
+  // solid boxes and ramps (see Physics.bodyBox and Level.obstacles) -
+  // returns the ones touched.
+  static step(body, input, config, obstacles = []) {
+    const dt = 1 / config.tickRate;
+    if (body.dead) {
+      input = PHYSICS_IDLE_INPUT;
+    }
+
+    // Update dash cooldown and stacks
+    if (body.dashCooldownTimer > 0) {
+      body.dashCooldownTimer -= dt;
+      if (body.dashCooldownTimer <= 0) {
+        body.dashCooldownTimer = 0;
+        // Gain a stack when cooldown finishes
+        if (body.dashStacks < config.maxDashStacks) {
+          body.dashStacks++;
+          // Start next cooldown if not at max stacks
+          if (body.dashStacks < config.maxDashStacks) {
+            body.dashCooldownTimer = config.dashCooldown;
+          }
+        }
+      }
+    }
+
+    // Update dash timer
+    if (body.isDashing) {
+      body.dashTimer -= dt;
+      if (body.dashTimer <= 0) {
+        body.isDashing = false;
+      }
+    }
+
+    const direction = Physics.moveDirection(input);
+    const moving = direction.x !== 0 || direction.z !== 0;
+
+    // Dash - consume stack
+    if (input.dash && !body.isDashing && body.dashStacks > 0 && moving) {
+      body.isDashing = true;
+      body.dashTimer = config.dashDuration;
+      body.dashStacks--;
+      body.dashDirection.x = direction.x;
+      body.dashDirection.z = direction.z;
+
+      // Start cooldown if not already running
+      if (body.dashCooldownTimer <= 0) {
+        body.dashCooldownTimer = config.dashCooldown;
+      }
+    }
+
+    // Apply movement
+    if (body.isDashing) {
+      body.velocity.x = body.dashDirection.x * config.dashSpeed;
+      body.velocity.z = body.dashDirection.z * config.dashSpeed;
+    } else {
+      body.velocity.x = direction.x * config.moveSpeed;
+      body.velocity.z = direction.z * config.moveSpeed;
+    }
+
+    // Knockback from hits rides on top of walking and fades out
+    body.velocity.x += body.knockback.x;
+    body.velocity.z += body.knockback.z;
+    const fade = Math.max(0, 1 - config.knockbackDecay * dt);
+    body.knockback.x *= fade;
+    body.knockback.z *= fade;
+    if (Math.abs(body.knockback.x) < 0.01 && Math.abs(body.knockback.z) < 0.01) {
+      body.knockback.x = 0;
+      body.knockback.z = 0;
+    }
+
+    // Double Jump - trigger on key press (not hold)
+    if (input.jump && !body.jumpHeld) {
+      if (body.isGrounded) {
+        body.velocity.y = config.jumpPower;
+        body.isGrounded = false;
+        body.jumpCount = 1;
+      } else if (body.jumpCount === 1) {
+        body.velocity.y = config.jumpPower;
+        body.jumpCount = 2;
+      }
+    }
+    body.jumpHeld = !!input.jump;
+
+    // Standing on something other than the ground - fall unless the
+    // collisions below put us back on top of it
+    if (body.isGrounded && body.position.y > config.groundLevel) {
+      body.isGrounded = false;
+    }
+
+    // Gravity
+    if (!body.isGrounded) {
+      body.velocity.y -= config.gravity * dt;
+    }
+
+    // Update position
+    body.position.x += body.velocity.x * dt;
+    body.position.y += body.velocity.y * dt;
+    body.position.z += body.velocity.z * dt;
+
+    // Ground collision
+    if (body.position.y <= config.groundLevel) {
+      body.position.y = config.groundLevel;
+      body.velocity.y = 0;
+      body.isGrounded = true;
+      body.jumpCount = 0;
+    }
+
+    // World boundaries
+    const half = config.worldSize / 2;
+    body.position.x = Math.max(-half, Math.min(half, body.position.x));
+    body.position.z = Math.max(-half, Math.min(half, body.position.z));
+
+    // Solid boxes
+    const contacts = [];
+    obstacles.forEach(box => {
+      const axis = box.slope ? Physics.resolveRamp(body, box) : Physics.resolveBox(body, box);
+      if (!axis) return;
+      contacts.push(box);
+
+      // Dashing into another player's side hands them part of the dash.
+      // (Predicted copies of other players have no knockback to add to.)
+      if (axis !== 'y' && box.body && body.isDashing && config.dashShove) {
+        if (box.body.knockback) {
+          box.body.knockback.x += body.velocity.x * config.dashShoveTransfer;
+          box.body.knockback.z += body.velocity.z * config.dashShoveTransfer;
+        }
+        body.isDashing = false;
+      }
+    });
+
+    // Update rotation
+    if (moving) {
+      body.rotation = Math.atan2(direction.x, direction.z);
+    }
+
+    return contacts;
+  }
+
+  // A player as a solid box for other bodies to collide with
+  static bodyBox(body) {
+    return {
+      x: body.position.x,
+      y: body.position.y,
+      z: body.position.z,
+      hx: PHYSICS_HALF_SIZE,
+      hy: PHYSICS_HALF_SIZE,
+      hz: PHYSICS_HALF_SIZE,
+      body: body
+    };
+  }
+
+  // Push a body out of a box (center x/y/z, half extents hx/hy/hz) along the
+  // axis it overlaps least. Coming down on top lands on it, and so does
+  // walking into a top no higher than PHYSICS_STEP_UP above our feet (the
+  // lip where a ramp meets a platform). Returns the axis pushed along, or
+  // null without overlap.
+  static resolveBox(body, box) {
+    const dx = body.position.x - box.x;
+    const dy = body.position.y - box.y;
+    const dz = body.position.z - box.z;
+    const overlapX = PHYSICS_HALF_SIZE + box.hx - Math.abs(dx);
+    const overlapY = PHYSICS_HALF_SIZE + box.hy - Math.abs(dy);
+    const overlapZ = PHYSICS_HALF_SIZE + box.hz - Math.abs(dz);
+    if (overlapX <= 0 || overlapY <= 0 || overlapZ <= 0) return null;
+
+    const stepUp = dy > 0 && body.velocity.y <= 0 && overlapY <= PHYSICS_STEP_UP;
+    if (stepUp || (overlapY <= overlapX && overlapY <= overlapZ)) {
+      if (dy > 0) {
+        body.position.y = box.y + box.hy + PHYSICS_HALF_SIZE;
+        if (body.velocity.y <= 0) {
+          body.velocity.y = 0;
+          body.isGrounded = true;
+          body.jumpCount = 0;
+        }
+      } else {
+        body.position.y = box.y - box.hy - PHYSICS_HALF_SIZE;
+        if (body.velocity.y > 0) {
+          body.velocity.y = 0; // Bumped our head
+        }
+      }
+      return 'y';
+    }
+    if (overlapX <= overlapZ) {
+      body.position.x += dx >= 0 ? overlapX : -overlapX;
+      return 'x';
+    }
+    body.position.z += dz >= 0 ? overlapZ : -overlapZ;
+    return 'z';
+  }
+
+  // Ramps are a sloped surface over their footprint. A body whose center is
+  // over the footprint stands on the surface when it is not too far above
+  // its feet; coming in where the slope is tall (the high end, the sides
+  // near the top) hits the ramp's bounding box like a wall.
+  static resolveRamp(body, ramp) {
+    const dx = body.position.x - ramp.x;
+    const dz = body.position.z - ramp.z;
+
+    // Surface height at the footprint point nearest to the body's center,
+    // 0 at the low end and slope.height at the top
+    const slope = ramp.slope;
+    const nearestX = Math.max(-ramp.hx, Math.min(ramp.hx, dx));
+    const nearestZ = Math.max(-ramp.hz, Math.min(ramp.hz, dz));
+    const offset = slope.axis === 'x' ? nearestX / ramp.hx : nearestZ / ramp.hz;
+    const progress = (offset * slope.sign + 1) / 2;
+    const surface = slope.bottom + slope.height * progress;
+    const feet = body.position.y - PHYSICS_HALF_SIZE;
+
+    // Beside the ramp - only its tall part is in the way
+    if (nearestX !== dx || nearestZ !== dz) {
+      return surface - feet > PHYSICS_STEP_UP ? Physics.resolveBox(body, ramp) : null;
+    }
+
+    if (feet >= surface) {
+      // Walking down - stay on the slope instead of hopping off it
+      if (feet - surface < PHYSICS_STICK_DOWN && body.velocity.y <= 0 && body.jumpCount === 0) {
+        body.position.y = surface + PHYSICS_HALF_SIZE;
+        body.velocity.y = 0;
+        body.isGrounded = true;
+        return 'y';
+      }
+      return null;
+    }
+
+    if (surface - feet > PHYSICS_STEP_UP && feet < slope.bottom + PHYSICS_STEP_UP) {
+      return Physics.resolveBox(body, ramp);
+    }
+
+    body.position.y = surface + PHYSICS_HALF_SIZE;
+    if (body.velocity.y <= 0) {
+      body.velocity.y = 0;
+      body.isGrounded = true;
+      body.jumpCount = 0;
+    }
+    return 'y';
+  }
+
+  // Whether a point is inside a box or under a ramp's slope
+  static containsPoint(box, point) {
+    const dx = point.x - box.x;
+    const dz = point.z - box.z;
+    if (Math.abs(dx) > box.hx || Math.abs(dz) > box.hz) return false;
+
+    let top = box.y + box.hy;
+    if (box.slope) {
+      const offset = box.slope.axis === 'x' ? dx / box.hx : dz / box.hz;
+      top = box.slope.bottom + box.slope.height * (offset * box.slope.sign + 1) / 2;
+    }
+    return point.y >= box.y - box.hy && point.y <= top;
+  }
+}
+
+// Fixed timestep driver - turns real elapsed time into whole ticks and
+// carries the remainder over to the next call
+class FixedStepper {
+  constructor(tickRate) {
+    this.tickDuration = 1000 / tickRate; // ms
+    this.maxSteps = tickRate; // After a stall (background tab), catch up at most one second
+    this.accumulator = 0;
+    this.lastTime = null;
+  }
+
+  // Call step() once per tick that has passed. Returns the number of ticks.
+  advance(now, step) {
+    if (this.lastTime === null) {
+      this.lastTime = now;
+      return 0;
+    }
+
+    this.accumulator += now - this.lastTime;
+    this.lastTime = now;
+    this.accumulator = Math.min(this.accumulator, this.maxSteps * this.tickDuration);
+
+    let steps = 0;
+    while (this.accumulator >= this.tickDuration) {
+      step();
+      this.accumulator -= this.tickDuration;
+      steps++;
+    }
+    return steps;
+  }
+}
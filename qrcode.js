@@ -0,0 +1,372 @@
+// Minimal QR code generator - byte mode, error correction level M,
+// versions 1-10 (up to 213 bytes, plenty for an invite link). Rendered
+// locally so invite links never go through a third-party QR service.
+//
+// Follows ISO/IEC 18004: data codewords are split into blocks, each block
+// gets Reed-Solomon error correction, the interleaved codewords are laid out
+// in the zigzag pattern, and the mask with the lowest penalty is kept.
+
+// Per version (index 0 = version 1), level M: error correction codewords per
+// block and the data codewords of each block
+const QR_BLOCKS_M = [
+  { ec: 10, blocks: [16] },
+  { ec: 16, blocks: [28] },
+  { ec: 26, blocks: [44] },
+  { ec: 18, blocks: [32, 32] },
+  { ec: 24, blocks: [43, 43] },
+  { ec: 16, blocks: [27, 27, 27, 27] },
+  { ec: 18, blocks: [31, 31, 31, 31] },
+  { ec: 22, blocks: [38, 38, 39, 39] },
+  { ec: 22, blocks: [36, 36, 36, 37, 37] },
+  { ec: 26, blocks: [43, 43, 43, 43, 44] }
+];
+
+// Alignment pattern centers per version
+const QR_ALIGNMENT = [
+  [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+  [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+const QR_FORMAT_BITS_M = 0; // Level M in the format information
+
+// GF(256) log / antilog tables for Reed-Solomon (polynomial 0x11d)
+const QR_EXP = new Uint8Array(512);
+const QR_LOG = new Uint8Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    QR_EXP[i] = x;
+    QR_LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11d;
+  }
+  for (let i = 255; i < 512; i++) {
+    QR_EXP[i] = QR_EXP[i - 255];
+  }
+})();
+
+function qrMultiply(a, b) {
+  return a === 0 || b === 0 ? 0 : QR_EXP[QR_LOG[a] + QR_LOG[b]];
+}
+
+// Error correction codewords for one block of data
+function qrReedSolomon(data, ecLength) {
+  // Generator polynomial (x - a^0)(x - a^1)...(x - a^(ecLength-1)), leading 1 dropped
+  let generator = [1];
+  for (let i = 0; i < ecLength; i++) {
+    const next = new Array(generator.length + 1).fill(0);
+    generator.forEach((coef, j) => {
+      next[j] ^= coef;
+      next[j + 1] ^= qrMultiply(coef, QR_EXP[i]);
+    });
+    generator = next;
+  }
+  generator = generator.slice(1);
+
+  const remainder = new Array(ecLength).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    generator.forEach((coef, j) => {
+      remainder[j] ^= qrMultiply(coef, factor);
+    });
+  });
+  return remainder;
+}
+
+class QRCode {
+  // Returns { size, modules } where modules[row][col] is true for dark
+  static encode(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    // Smallest version that fits
+    let version = 0;
+    for (let v = 1; v <= QR_BLOCKS_M.length; v++) {
+      const capacityBits = QR_BLOCKS_M[v - 1].blocks.reduce((sum, n) => sum + n, 0) * 8;
+      if (4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= capacityBits) {
+        version = v;
+        break;
+      }
+    }
+    if (!version) {
+      throw new Error('Text too long for a QR code');
+    }
+
+    const qr = new QRCode(version);
+    qr.drawFunctionPatterns();
+    qr.drawCodewords(qr.buildCodewords(bytes));
+    qr.applyBestMask();
+    return { size: qr.size, modules: qr.modules };
+  }
+
+  // Draw text as a QR code on a canvas, with the standard 4-module quiet zone
+  static render(canvas, text, moduleSize = 4) {
+    const { size, modules } = QRCode.encode(text);
+    const margin = 4;
+
+    canvas.width = canvas.height = (size + margin * 2) * moduleSize;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = '#000000';
+
+    modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) {
+          context.fillRect((x + margin) * moduleSize, (y + margin) * moduleSize, moduleSize, moduleSize);
+        }
+      });
+    });
+  }
+
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const size = this.size;
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || x >= size || y < 0 || y >= size) continue;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          this.setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    });
+
+    // Alignment patterns, except where they would hit a finder
+    const centers = QR_ALIGNMENT[this.version - 1];
+    const last = centers.length - 1;
+    centers.forEach((cy, i) => {
+      centers.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format areas (real bits go in once the mask is chosen)
+    this.drawFormatBits(0);
+
+    // Version information (version 7 and up)
+    if (this.version >= 7) {
+      let remainder = this.version;
+      for (let i = 0; i < 12; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+      }
+      const bits = (this.version << 12) | remainder;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        this.setFunction(a, b, dark);
+        this.setFunction(b, a, dark);
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const size = this.size;
+    const data = (QR_FORMAT_BITS_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+    this.setFunction(8, size - 8, true); // Always-dark module
+  }
+
+  // Data bits -> padded data codewords -> interleaved data + EC codewords
+  buildCodewords(bytes) {
+    const { ec, blocks } = QR_BLOCKS_M[this.version - 1];
+    const capacity = blocks.reduce((sum, n) => sum + n, 0);
+
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4); // Byte mode
+    push(bytes.length, this.version < 10 ? 8 : 16);
+    bytes.forEach(b => push(b, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length)); // Terminator
+    while (bits.length % 8 !== 0) bits.push(0);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      data.push(bits.slice(i, i + 8).reduce((byte, b) => (byte << 1) | b, 0));
+    }
+    for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) {
+      data.push(pad);
+    }
+
+    // Split into blocks and add error correction
+    const dataBlocks = [];
+    let offset = 0;
+    blocks.forEach(length => {
+      dataBlocks.push(data.slice(offset, offset + length));
+      offset += length;
+    });
+    const ecBlocks = dataBlocks.map(block => qrReedSolomon(block, ec));
+
+    // Interleave: first byte of every block, then the second, ...
+    const result = [];
+    const longest = Math.max(...blocks);
+    for (let i = 0; i < longest; i++) {
+      dataBlocks.forEach(block => {
+        if (i < block.length) result.push(block[i]);
+      });
+    }
+    for (let i = 0; i < ec; i++) {
+      ecBlocks.forEach(block => result.push(block[i]));
+    }
+    return result;
+  }
+
+  // Zigzag placement, two columns at a time from the bottom right
+  drawCodewords(codewords) {
+    const size = this.size;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // Skip the vertical timing pattern
+      const upward = ((right + 1) & 2) === 0;
+
+      for (let vert = 0; vert < size; vert++) {
+        const y = upward ? size - 1 - vert : vert;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (this.isFunction[y][x]) continue;
+          // Remainder bits past the last codeword stay light
+          if (i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  static maskBit(mask, x, y) {
+    switch (mask) {
+      case 0: return (x + y) % 2 === 0;
+      case 1: return y % 2 === 0;
+      case 2: return x % 3 === 0;
+      case 3: return (x + y) % 3 === 0;
+      case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+      case 5: return (x * y) % 2 + (x * y) % 3 === 0;
+      case 6: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+      default: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+    }
+  }
+
+  // XOR a mask onto the data modules (applying it twice undoes it)
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && QRCode.maskBit(mask, x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  applyBestMask() {
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+
+    for (let mask = 0; mask < 8; mask++) {
+      this.applyMask(mask);
+      this.drawFormatBits(mask);
+      const penalty = this.penalty();
+      if (penalty < bestPenalty) {
+        bestPenalty = penalty;
+        bestMask = mask;
+      }
+      this.applyMask(mask);
+    }
+
+    this.applyMask(bestMask);
+    this.drawFormatBits(bestMask);
+  }
+
+  // Penalty score from the spec's four rules - lower scans better
+  penalty() {
+    const size = this.size;
+    const modules = this.modules;
+    let score = 0;
+    let dark = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    lines.forEach(line => {
+      // Runs of five or more
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+
+      // Finder-like 1:1:3:1:1 patterns with light space on one side
+      const text = line.map(m => (m ? '1' : '0')).join('');
+      score += 40 * ((text.match(/(?=10111010000)/g) || []).length + (text.match(/(?=00001011101)/g) || []).length);
+    });
+
+    // 2x2 blocks of one color
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const m = modules[y][x];
+        if (m === modules[y][x + 1] && m === modules[y + 1][x] && m === modules[y + 1][x + 1]) {
+          score += 3;
+        }
+      }
+    }
+
+    // Dark / light balance
+    modules.forEach(row => row.forEach(m => { if (m) dark++; }));
+    score += 10 * Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5);
+
+    return score;
+  }
+}
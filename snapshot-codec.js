@@ -0,0 +1,466 @@
+// Binary gameState snapshots with delta compression
+//
+// The host keeps one SnapshotEncoder per client and each client one
+// SnapshotDecoder. Every snapshot is encoded against the newest snapshot the
+// client has acknowledged (its baseline), so only fields that changed since
+// then go over the wire. Names and colors are only sent when an entity is new
+// to the client or they change. Without an acknowledged baseline a full
+// snapshot is sent - also when the newest ack is more than SNAPSHOT_HISTORY
+// snapshots old (acks lost), since the client has dropped that state by then,
+// and when the client acks tick 0 because it could not find a baseline.
+//
+// Each client only gets the entities relevant to it (see GameHost). An entity
+// missing from a snapshot is removed on the client; one that comes back is
+// sent in full again. Entities passed as "held" repeat what was last sent for
+// them, which costs nothing once the client has acknowledged it. Their netIds
+// are listed so the client knows their state is not from this tick (and does
+// not feed it to interpolation).
+//
+// Wire format (little endian):
+//   u8  tag (SNAPSHOT_TAG)
+//   u32 host tick (the snapshot's sequence number)
+//   u32 baseline tick (0 = full snapshot)
+//   u32 host physics tick the state was taken at (timestamp for interpolation)
+//   u16 record count, then per record:
+//       u16 netId, u16 field mask, fields in table order
+//   u16 removed count, then u16 netId per removed entity
+//   u16 held count, then u16 netId per held entity
+//   u8  projectile count, then per projectile:
+//       u16 owner netId, i16 x, i16 y, i16 z
+//   u8  owner flag, if 1 the owner block follows:
+//       u32 last input sequence the host simulated for the recipient
+//       the recipient's own player state at full precision (OWNER_FIELDS)
+//
+// The owner block lets the client rewind its prediction to the exact host
+// state and replay newer inputs (see GameClient.reconcile). Projectiles and
+// the owner block are never delta coded.
+//
+// Positions are quantized to 1/64 unit (int16, +-512 units), rotation to
+// 1/65536 of a turn, the dash cooldown to milliseconds and health to whole
+// points (rounded up, so a living player never shows 0).
+
+const SNAPSHOT_TAG = 0x53;
+const SNAPSHOT_HISTORY = 64; // Snapshots kept for use as a baseline
+const POSITION_SCALE = 64;
+const ROTATION_SCALE = 65536 / (Math.PI * 2);
+
+const snapshotTextEncoder = new TextEncoder();
+const snapshotTextDecoder = new TextDecoder();
+
+// Growable little endian writer
+class ByteWriter {
+  constructor(size = 256) {
+    this.buffer = new ArrayBuffer(size);
+    this.view = new DataView(this.buffer);
+    this.offset = 0;
+  }
+
+  ensure(bytes) {
+    if (this.offset + bytes <= this.buffer.byteLength) return;
+
+    const grown = new ArrayBuffer(Math.max(this.buffer.byteLength * 2, this.offset + bytes));
+    new Uint8Array(grown).set(new Uint8Array(this.buffer));
+    this.buffer = grown;
+    this.view = new DataView(grown);
+  }
+
+  u8(value) { this.ensure(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+  u16(value) { this.ensure(2); this.view.setUint16(this.offset, value, true); this.offset += 2; }
+  i16(value) { this.ensure(2); this.view.setInt16(this.offset, value, true); this.offset += 2; }
+  u32(value) { this.ensure(4); this.view.setUint32(this.offset, value, true); this.offset += 4; }
+  f64(value) { this.ensure(8); this.view.setFloat64(this.offset, value, true); this.offset += 8; }
+
+  string(value) {
+    const bytes = snapshotTextEncoder.encode(value || '').subarray(0, 255);
+    this.u8(bytes.length);
+    this.ensure(bytes.length);
+    new Uint8Array(this.buffer, this.offset, bytes.length).set(bytes);
+    this.offset += bytes.length;
+  }
+
+  finish() {
+    return this.buffer.slice(0, this.offset);
+  }
+}
+
+class ByteReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.view = new DataView(buffer);
+    this.offset = 0;
+  }
+
+  u8() { const v = this.view.getUint8(this.offset); this.offset += 1; return v; }
+  u16() { const v = this.view.getUint16(this.offset, true); this.offset += 2; return v; }
+  i16() { const v = this.view.getInt16(this.offset, true); this.offset += 2; return v; }
+  u32() { const v = this.view.getUint32(this.offset, true); this.offset += 4; return v; }
+  f64() { const v = this.view.getFloat64(this.offset, true); this.offset += 8; return v; }
+
+  string() {
+    const length = this.u8();
+    const value = snapshotTextDecoder.decode(new Uint8Array(this.buffer, this.offset, length));
+    this.offset += length;
+    return value;
+  }
+}
+
+// Field table - bit order is wire order. keys are the quantized record
+// properties compared to decide whether the field changed.
+const SNAPSHOT_FIELDS = [
+  {
+    bit: 1 << 0,
+    keys: ['id'],
+    write: (w, rec) => w.string(rec.id),
+    read: (r, rec) => { rec.id = r.string(); }
+  },
+  {
+    bit: 1 << 1,
+    keys: ['name'],
+    write: (w, rec) => w.string(rec.name),
+    read: (r, rec) => { rec.name = r.string(); }
+  },
+  {
+    bit: 1 << 2,
+    keys: ['color'],
+    write: (w, rec) => w.u32(rec.color),
+    read: (r, rec) => { rec.color = r.u32(); }
+  },
+  {
+    bit: 1 << 3,
+    keys: ['px', 'py', 'pz'],
+    write: (w, rec) => { w.i16(rec.px); w.i16(rec.py); w.i16(rec.pz); },
+    read: (r, rec) => { rec.px = r.i16(); rec.py = r.i16(); rec.pz = r.i16(); }
+  },
+  {
+    bit: 1 << 4,
+    keys: ['rot'],
+    write: (w, rec) => w.u16(rec.rot),
+    read: (r, rec) => { rec.rot = r.u16(); }
+  },
+  {
+    bit: 1 << 5,
+    keys: ['dashStacks', 'dashCooldown'],
+    write: (w, rec) => { w.u8(rec.dashStacks); w.u16(rec.dashCooldown); },
+    read: (r, rec) => { rec.dashStacks = r.u8(); rec.dashCooldown = r.u16(); }
+  },
+  {
+    bit: 1 << 6,
+    keys: ['hasBall'],
+    write: (w, rec) => w.u8(rec.hasBall),
+    read: (r, rec) => { rec.hasBall = r.u8(); }
+  },
+  {
+    bit: 1 << 7,
+    keys: ['health', 'dead'],
+    write: (w, rec) => { w.u8(rec.health); w.u8(rec.dead); },
+    read: (r, rec) => { rec.health = r.u8(); rec.dead = r.u8(); }
+  }
+];
+
+const ALL_FIELDS_MASK = SNAPSHOT_FIELDS.reduce((mask, field) => mask | field.bit, 0);
+
+// Physics state in the owner block, as [object, key] paths into a player
+const OWNER_FLOATS = [
+  ['position', 'x'], ['position', 'y'], ['position', 'z'],
+  ['velocity', 'x'], ['velocity', 'y'], ['velocity', 'z'],
+  ['dashDirection', 'x'], ['dashDirection', 'z'],
+  ['knockback', 'x'], ['knockback', 'z'],
+  [null, 'rotation'], [null, 'dashTimer'], [null, 'dashCooldownTimer']
+];
+const OWNER_FLAGS = ['isGrounded', 'jumpHeld', 'isDashing', 'dead'];
+
+function writeProjectile(w, projectile) {
+  w.u16(projectile.netId);
+  w.i16(clampInt16(Math.round(projectile.position.x * POSITION_SCALE)));
+  w.i16(clampInt16(Math.round(projectile.position.y * POSITION_SCALE)));
+  w.i16(clampInt16(Math.round(projectile.position.z * POSITION_SCALE)));
+}
+
+// Projectiles are keyed by their owner's netId (one each); ownerId is null
+// when the owner is not in the recipient's snapshot
+function readProjectile(r, state) {
+  const netId = r.u16();
+  const owner = state.get(netId);
+  return {
+    netId: netId,
+    ownerId: owner ? owner.id : null,
+    position: {
+      x: r.i16() / POSITION_SCALE,
+      y: r.i16() / POSITION_SCALE,
+      z: r.i16() / POSITION_SCALE
+    }
+  };
+}
+
+function writeOwner(w, owner) {
+  w.u32(owner.inputSeq);
+  OWNER_FLOATS.forEach(([object, key]) => w.f64(object ? owner.state[object][key] : owner.state[key]));
+  w.u8(OWNER_FLAGS.reduce((bits, flag, i) => bits | (owner.state[flag] ? 1 << i : 0), 0));
+  w.u8(owner.state.jumpCount);
+  w.u8(owner.state.dashStacks);
+}
+
+function readOwner(r) {
+  const inputSeq = r.u32();
+  const state = { position: {}, velocity: {}, dashDirection: {}, knockback: {} };
+  OWNER_FLOATS.forEach(([object, key]) => {
+    if (object) {
+      state[object][key] = r.f64();
+    } else {
+      state[key] = r.f64();
+    }
+  });
+  const bits = r.u8();
+  OWNER_FLAGS.forEach((flag, i) => { state[flag] = (bits & (1 << i)) !== 0; });
+  state.jumpCount = r.u8();
+  state.dashStacks = r.u8();
+  return { inputSeq, state };
+}
+
+function clampInt16(value) {
+  return Math.max(-32768, Math.min(32767, value));
+}
+
+// Player state -> quantized wire record
+function quantizeEntity(entity) {
+  const turn = Math.PI * 2;
+  const rotation = ((entity.rotation % turn) + turn) % turn;
+
+  return {
+    netId: entity.netId,
+    id: entity.id,
+    name: entity.name,
+    color: entity.color,
+    px: clampInt16(Math.round(entity.position.x * POSITION_SCALE)),
+    py: clampInt16(Math.round(entity.position.y * POSITION_SCALE)),
+    pz: clampInt16(Math.round(entity.position.z * POSITION_SCALE)),
+    rot: Math.round(rotation * ROTATION_SCALE) & 0xffff,
+    dashStacks: entity.dashStacks,
+    dashCooldown: Math.min(65535, Math.round(entity.dashCooldownTimer * 1000)),
+    hasBall: entity.hasBall ? 1 : 0,
+    health: Math.max(0, Math.min(255, Math.ceil(entity.health))),
+    dead: entity.dead ? 1 : 0
+  };
+}
+
+// Quantized wire record -> player state (same shape the JSON gameState had)
+function dequantizeEntity(rec) {
+  let rotation = rec.rot / ROTATION_SCALE;
+  if (rotation > Math.PI) rotation -= Math.PI * 2;
+
+  return {
+    id: rec.id,
+    name: rec.name,
+    color: rec.color,
+    position: {
+      x: rec.px / POSITION_SCALE,
+      y: rec.py / POSITION_SCALE,
+      z: rec.pz / POSITION_SCALE
+    },
+    rotation: rotation,
+    dashStacks: rec.dashStacks,
+    dashCooldownTimer: rec.dashCooldown / 1000,
+    hasBall: rec.hasBall === 1,
+    health: rec.health,
+    dead: rec.dead === 1
+  };
+}
+
+// Host side - one per client
+class SnapshotEncoder {
+  constructor() {
+    this.history = new Map(); // tick -> Map(netId -> record)
+    this.ackedTick = 0;
+    this.lastSent = new Map(); // netId -> record in the newest snapshot
+  }
+
+  // Client confirmed it decoded this snapshot - use it as the next baseline.
+  // Tick 0 means it is missing a baseline and needs a full snapshot.
+  ack(tick) {
+    if (tick === 0) {
+      this.ackedTick = 0;
+      return;
+    }
+    if (tick <= this.ackedTick || !this.history.has(tick)) return;
+
+    this.ackedTick = tick;
+    this.history.forEach((records, t) => {
+      if (t < tick) this.history.delete(t);
+    });
+  }
+
+  // tick: the host tick this snapshot was taken at (starts at 1, increasing)
+  // simTick: the host physics tick count at that moment
+  // options.held: Set of netIds to send unchanged this time
+  // options.projectiles: [{ netId, position }] in flight near the recipient
+  // options.owner: { inputSeq, state } of the recipient's own player
+  encode(entities, tick, simTick, options = {}) {
+    const { held = null, projectiles = [], owner = null } = options;
+
+    // The client only keeps SNAPSHOT_HISTORY snapshots - start over from a
+    // full one rather than encode against a state it no longer has
+    if (this.ackedTick && this.ackedTick < tick - SNAPSHOT_HISTORY) {
+      this.ackedTick = 0;
+    }
+    const baseline = this.history.get(this.ackedTick) || null;
+    const current = new Map();
+    const repeated = []; // netIds of held entities that really repeat an earlier state
+    entities.forEach(entity => {
+      const last = held && held.has(entity.netId) ? this.lastSent.get(entity.netId) : null;
+      const rec = last || quantizeEntity(entity);
+      current.set(rec.netId, rec);
+      if (last) repeated.push(rec.netId);
+    });
+
+    const w = new ByteWriter();
+    w.u8(SNAPSHOT_TAG);
+    w.u32(tick);
+    w.u32(baseline ? this.ackedTick : 0);
+    w.u32(simTick);
+
+    // Changed and new entities
+    const changed = [];
+    current.forEach(rec => {
+      const base = baseline && baseline.get(rec.netId);
+      let mask = 0;
+      if (!base || base.id !== rec.id) {
+        mask = ALL_FIELDS_MASK;
+      } else {
+        SNAPSHOT_FIELDS.forEach(field => {
+          if (field.keys.some(key => rec[key] !== base[key])) mask |= field.bit;
+        });
+      }
+      if (mask) changed.push({ rec, mask });
+    });
+
+    w.u16(changed.length);
+    changed.forEach(({ rec, mask }) => {
+      w.u16(rec.netId);
+      w.u16(mask);
+      SNAPSHOT_FIELDS.forEach(field => {
+        if (mask & field.bit) field.write(w, rec);
+      });
+    });
+
+    // Entities the client has that are gone now
+    const removed = [];
+    if (baseline) {
+      baseline.forEach((rec, netId) => {
+        if (!current.has(netId)) removed.push(netId);
+      });
+    }
+    w.u16(removed.length);
+    removed.forEach(netId => w.u16(netId));
+
+    // Entities repeated from an earlier tick rather than refreshed
+    w.u16(repeated.length);
+    repeated.forEach(netId => w.u16(netId));
+
+    w.u8(projectiles.length);
+    projectiles.forEach(projectile => writeProjectile(w, projectile));
+
+    w.u8(owner ? 1 : 0);
+    if (owner) {
+      writeOwner(w, owner);
+    }
+
+    this.history.set(tick, current);
+    this.lastSent = current;
+    if (this.history.size > SNAPSHOT_HISTORY) {
+      const oldest = Math.min(...this.history.keys());
+      if (oldest !== this.ackedTick) this.history.delete(oldest);
+    }
+
+    return w.finish();
+  }
+}
+
+// Client side
+class SnapshotDecoder {
+  constructor() {
+    this.states = new Map(); // tick -> Map(netId -> record)
+  }
+
+  static isSnapshot(data) {
+    return data instanceof ArrayBuffer && data.byteLength > 0 && new DataView(data).getUint8(0) === SNAPSHOT_TAG;
+  }
+
+  // Host tick of a snapshot, without decoding it
+  static peekTick(buffer) {
+    return new DataView(buffer).getUint32(1, true);
+  }
+
+  // Returns { tick, simTick, players, projectiles, owner } or null if the
+  // baseline is not known. owner is { inputSeq, state } or null. Players the
+  // host did not refresh this tick have held set.
+  decode(buffer) {
+    const r = new ByteReader(buffer);
+    r.u8(); // tag
+    const tick = r.u32();
+    const baselineTick = r.u32();
+    const simTick = r.u32();
+
+    let state;
+    if (baselineTick === 0) {
+      state = new Map();
+    } else {
+      const baseline = this.states.get(baselineTick);
+      if (!baseline) {
+        Logger.get('codec').warn('Unknown baseline', baselineTick, 'for', tick);
+        return null;
+      }
+      state = new Map();
+      baseline.forEach((rec, netId) => state.set(netId, rec));
+    }
+
+    const recordCount = r.u16();
+    for (let i = 0; i < recordCount; i++) {
+      const netId = r.u16();
+      const mask = r.u16();
+
+      // A record carrying an id describes an entity from scratch
+      const rec = (mask & SNAPSHOT_FIELDS[0].bit) ? { netId } : { ...state.get(netId) };
+      SNAPSHOT_FIELDS.forEach(field => {
+        if (mask & field.bit) field.read(r, rec);
+      });
+      state.set(netId, rec);
+    }
+
+    const removedCount = r.u16();
+    for (let i = 0; i < removedCount; i++) {
+      state.delete(r.u16());
+    }
+
+    const held = new Set();
+    const heldCount = r.u16();
+    for (let i = 0; i < heldCount; i++) {
+      held.add(r.u16());
+    }
+
+    const projectileCount = r.u8();
+    const projectiles = [];
+    for (let i = 0; i < projectileCount; i++) {
+      projectiles.push(readProjectile(r, state));
+    }
+
+    const owner = r.u8() ? readOwner(r) : null;
+
+    // The host never encodes against anything older than this baseline again
+    this.states.set(tick, state);
+    this.states.forEach((s, t) => {
+      if (t < baselineTick || t < tick - SNAPSHOT_HISTORY) this.states.delete(t);
+    });
+
+    return {
+      tick: tick,
+      simTick: simTick,
+      players: Array.from(state.values()).map(rec => {
+        const player = dequantizeEntity(rec);
+        player.held = held.has(rec.netId);
+        return player;
+      }),
+      projectiles: projectiles,
+      owner: owner
+    };
+  }
+}
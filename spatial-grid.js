@@ -0,0 +1,53 @@
+// Uniform grid over the XZ plane for "who is near this point" queries.
+// The host rebuilds it every tick from player positions - cheap for the
+// player counts we have and never stale.
+
+class SpatialGrid {
+  constructor(cellSize = 10) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // "cx,cz" -> [{ id, x, z }]
+  }
+
+  cellKey(cx, cz) {
+    return cx + ',' + cz;
+  }
+
+  clear() {
+    this.cells.clear();
+  }
+
+  insert(id, x, z) {
+    const key = this.cellKey(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize));
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = [];
+      this.cells.set(key, cell);
+    }
+    cell.push({ id, x, z });
+  }
+
+  // Entries within radius of (x, z) as [{ id, distance }]
+  query(x, z, radius) {
+    const results = [];
+    const minX = Math.floor((x - radius) / this.cellSize);
+    const maxX = Math.floor((x + radius) / this.cellSize);
+    const minZ = Math.floor((z - radius) / this.cellSize);
+    const maxZ = Math.floor((z + radius) / this.cellSize);
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        const cell = this.cells.get(this.cellKey(cx, cz));
+        if (!cell) continue;
+
+        cell.forEach(entry => {
+          const distance = Math.hypot(entry.x - x, entry.z - z);
+          if (distance <= radius) {
+            results.push({ id: entry.id, distance });
+          }
+        });
+      }
+    }
+
+    return results;
+  }
+}
@@ -0,0 +1,430 @@
+// Transport backends for NetworkManager
+//
+// A transport hands out a local peer ID and connections to other peers.
+// Every transport follows the PeerJS shape so NetworkManager can treat them
+// the same way:
+//
+//   transport.init(id?)                  -> Promise<peerId>
+//   transport.connect(peerId, options)   -> connection
+//   transport.on('connection' | 'error', handler)
+//   transport.reconnect() / transport.destroy()
+//
+//   connection.peer, connection.open, connection.metadata
+//   connection.on('open' | 'data' | 'close' | 'error', handler)
+//   connection.send(data) / connection.close()
+//
+// Errors follow PeerJS too: connecting to a peer that does not exist emits
+// an 'error' with type 'peer-unavailable' on the transport. Such errors also
+// carry the unreachable peer in error.peerId.
+
+// Minimal event emitter shared by transports and their connections
+class TransportEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  on(event, handler) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(handler);
+    return this;
+  }
+
+  emit(event, ...args) {
+    (this.listeners[event] || []).forEach(handler => handler(...args));
+  }
+}
+
+// Connection used by the non-PeerJS transports
+class TransportConnection extends TransportEmitter {
+  constructor(transport, connectionId, remotePeerId, metadata) {
+    super();
+    this.transport = transport;
+    this.connectionId = connectionId;
+    this.peer = remotePeerId;
+    this.metadata = metadata || {};
+    this.open = false;
+  }
+
+  markOpen() {
+    if (this.open) return;
+    this.open = true;
+    this.emit('open');
+  }
+
+  markClosed() {
+    if (this.closed) return;
+    this.open = false;
+    this.closed = true;
+    this.emit('close');
+  }
+
+  send(data) {
+    if (!this.open) return;
+    this.transport.deliver(this, data);
+  }
+
+  close() {
+    if (this.closed) return;
+    this.transport.disconnect(this);
+  }
+}
+
+// Random ID helper for transports that assign their own peer IDs
+function randomTransportId(prefix) {
+  const bytes = new Uint8Array(8);
+  crypto.getRandomValues(bytes);
+  return prefix + Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Copy a message the way a real channel would (no shared references)
+function cloneTransportData(data) {
+  if (typeof structuredClone === 'function') {
+    return structuredClone(data);
+  }
+  if (data instanceof ArrayBuffer) {
+    return data.slice(0);
+  }
+  return JSON.parse(JSON.stringify(data));
+}
+
+// WebRTC through PeerJS - the default for real games
+class PeerJSTransport extends TransportEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.peer = null;
+  }
+
+  // PeerJS options from CONFIG.server - no host means the PeerJS cloud
+  static fromConfig(server) {
+    const options = {
+      config: {
+        iceServers: server.iceServers
+      }
+    };
+
+    if (server.host) {
+      options.host = server.host;
+      options.port = server.port;
+      options.path = server.path;
+      options.key = server.key;
+      options.secure = server.secure;
+    }
+
+    return new PeerJSTransport(options);
+  }
+
+  get disconnected() {
+    return this.peer ? this.peer.disconnected : true;
+  }
+
+  get destroyed() {
+    return this.peer ? this.peer.destroyed : false;
+  }
+
+  init(id = null) {
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        reject(new Error('PeerJS connection timeout'));
+      }, 10000);
+
+      this.peer = id ? new Peer(id, this.options) : new Peer(this.options);
+
+      this.peer.on('open', (peerId) => {
+        clearTimeout(timeout);
+        resolve(peerId);
+      });
+
+      this.peer.on('error', (error) => {
+        clearTimeout(timeout);
+        reject(error);
+
+        // PeerJS only names the peer in the message: "Could not connect to peer <id>"
+        if (error.type === 'peer-unavailable' && !error.peerId) {
+          const match = /peer (\S+)$/.exec(error.message);
+          error.peerId = match ? match[1] : null;
+        }
+        this.emit('error', error);
+      });
+
+      this.peer.on('connection', (conn) => {
+        this.emit('connection', conn);
+      });
+    });
+  }
+
+  connect(peerId, options) {
+    return this.peer.connect(peerId, options);
+  }
+
+  reconnect() {
+    if (this.peer && this.peer.disconnected && !this.peer.destroyed) {
+      this.peer.reconnect();
+    }
+  }
+
+  destroy() {
+    if (this.peer) {
+      this.peer.destroy();
+    }
+  }
+}
+
+// In-memory transport - host and clients in one process (offline development and debugging).
+// Transports sharing a hub can reach each other.
+class LoopbackTransport extends TransportEmitter {
+  constructor(hub = LoopbackTransport.defaultHub) {
+    super();
+    this.hub = hub; // peerId -> LoopbackTransport
+    this.peerId = null;
+    this.connections = new Set();
+    this.disconnected = true;
+    this.destroyed = false;
+  }
+
+  init(id = null) {
+    return new Promise((resolve, reject) => {
+      const peerId = id || randomTransportId('loop-');
+      if (this.hub.has(peerId)) {
+        const error = new Error('ID "' + peerId + '" is taken');
+        error.type = 'unavailable-id';
+        reject(error);
+        return;
+      }
+
+      this.peerId = peerId;
+      this.hub.set(peerId, this);
+      this.disconnected = false;
+      this.destroyed = false;
+      setTimeout(() => resolve(peerId), 0);
+    });
+  }
+
+  connect(peerId, options = {}) {
+    const connectionId = randomTransportId('lc-');
+    const local = new TransportConnection(this, connectionId, peerId, options.metadata);
+    this.connections.add(local);
+
+    setTimeout(() => {
+      if (local.closed) return;
+
+      const remoteTransport = this.hub.get(peerId);
+      if (!remoteTransport || remoteTransport.destroyed) {
+        this.connections.delete(local);
+        const error = new Error('Could not connect to peer ' + peerId);
+        error.type = 'peer-unavailable';
+        error.peerId = peerId;
+        this.emit('error', error);
+        return;
+      }
+
+      const remote = new TransportConnection(remoteTransport, connectionId, this.peerId, options.metadata);
+      remote.counterpart = local;
+      local.counterpart = remote;
+      remoteTransport.connections.add(remote);
+
+      remoteTransport.emit('connection', remote);
+      remote.markOpen();
+      local.markOpen();
+    }, 0);
+
+    return local;
+  }
+
+  deliver(conn, data) {
+    const target = conn.counterpart;
+    const copy = cloneTransportData(data);
+    setTimeout(() => {
+      if (target && target.open) {
+        target.emit('data', copy);
+      }
+    }, 0);
+  }
+
+  disconnect(conn) {
+    const target = conn.counterpart;
+    this.connections.delete(conn);
+    setTimeout(() => conn.markClosed(), 0);
+
+    if (target) {
+      target.transport.connections.delete(target);
+      setTimeout(() => target.markClosed(), 0);
+    }
+  }
+
+  reconnect() {
+    if (!this.destroyed && this.peerId) {
+      this.hub.set(this.peerId, this);
+      this.disconnected = false;
+    }
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.disconnected = true;
+    this.connections.forEach(conn => conn.close());
+    if (this.hub.get(this.peerId) === this) {
+      this.hub.delete(this.peerId);
+    }
+  }
+}
+
+LoopbackTransport.defaultHub = new Map();
+
+// BroadcastChannel transport - several tabs on one machine, no signaling
+// server or network needed. Every tab listens on the same channel and picks
+// out the messages addressed to it.
+class BroadcastChannelTransport extends TransportEmitter {
+  constructor(channelName = 'multiplayer-world') {
+    super();
+    this.channelName = channelName;
+    this.channel = null;
+    this.peerId = null;
+    this.connections = new Map(); // connectionId -> TransportConnection
+    this.pendingConnects = new Map(); // connectionId -> timeout
+    this.pendingProbe = null; // Settles init(id) if another tab has the ID
+    this.disconnected = true;
+    this.destroyed = false;
+  }
+
+  init(id = null) {
+    return new Promise((resolve, reject) => {
+      this.peerId = id || randomTransportId('bc-');
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.onmessage = (event) => this.onMessage(event.data);
+      this.destroyed = false;
+
+      if (!id) {
+        this.disconnected = false;
+        resolve(this.peerId);
+        return;
+      }
+
+      // There is no registry to ask for a chosen ID - probe for a tab that
+      // already answers to it and give it a moment to object
+      const probeTimeout = setTimeout(() => {
+        this.pendingProbe = null;
+        this.disconnected = false;
+        resolve(this.peerId);
+      }, 300);
+
+      this.pendingProbe = () => {
+        clearTimeout(probeTimeout);
+        this.pendingProbe = null;
+        this.channel.close();
+        this.channel = null;
+
+        const error = new Error('ID "' + id + '" is taken');
+        error.type = 'unavailable-id';
+        reject(error);
+      };
+
+      this.post({ kind: 'probe', to: id });
+    });
+  }
+
+  post(message) {
+    if (this.channel) {
+      this.channel.postMessage({ ...message, from: this.peerId });
+    }
+  }
+
+  onMessage(message) {
+    if (message.to !== this.peerId) return;
+
+    const conn = this.connections.get(message.connectionId);
+
+    switch (message.kind) {
+      case 'probe':
+        if (!this.pendingProbe) {
+          this.post({ kind: 'taken', to: message.from });
+        }
+        break;
+
+      case 'taken':
+        if (this.pendingProbe) {
+          this.pendingProbe();
+        }
+        break;
+
+      case 'connect': {
+        const incoming = new TransportConnection(this, message.connectionId, message.from, message.metadata);
+        this.connections.set(message.connectionId, incoming);
+        this.emit('connection', incoming);
+        this.post({ kind: 'accept', to: message.from, connectionId: message.connectionId });
+        incoming.markOpen();
+        break;
+      }
+
+      case 'accept':
+        if (conn) {
+          clearTimeout(this.pendingConnects.get(message.connectionId));
+          this.pendingConnects.delete(message.connectionId);
+          conn.markOpen();
+        }
+        break;
+
+      case 'data':
+        if (conn && conn.open) {
+          conn.emit('data', message.data);
+        }
+        break;
+
+      case 'close':
+        if (conn) {
+          this.connections.delete(message.connectionId);
+          conn.markClosed();
+        }
+        break;
+    }
+  }
+
+  connect(peerId, options = {}) {
+    const connectionId = randomTransportId('bcc-');
+    const conn = new TransportConnection(this, connectionId, peerId, options.metadata);
+    this.connections.set(connectionId, conn);
+
+    // Nobody answers for a peer that is not there
+    this.pendingConnects.set(connectionId, setTimeout(() => {
+      this.pendingConnects.delete(connectionId);
+      this.connections.delete(connectionId);
+      const error = new Error('Could not connect to peer ' + peerId);
+      error.type = 'peer-unavailable';
+      error.peerId = peerId;
+      this.emit('error', error);
+    }, 3000));
+
+    this.post({ kind: 'connect', to: peerId, connectionId: connectionId, metadata: conn.metadata });
+    return conn;
+  }
+
+  deliver(conn, data) {
+    this.post({ kind: 'data', to: conn.peer, connectionId: conn.connectionId, data: data });
+  }
+
+  disconnect(conn) {
+    clearTimeout(this.pendingConnects.get(conn.connectionId));
+    this.pendingConnects.delete(conn.connectionId);
+    this.connections.delete(conn.connectionId);
+    this.post({ kind: 'close', to: conn.peer, connectionId: conn.connectionId });
+    setTimeout(() => conn.markClosed(), 0);
+  }
+
+  reconnect() {
+    // Nothing to reconnect to - the channel is local
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.disconnected = true;
+    this.pendingConnects.forEach(timeout => clearTimeout(timeout));
+    this.pendingConnects.clear();
+    this.connections.forEach(conn => conn.close());
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+  }
+}
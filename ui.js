@@ -10,15 +10,34 @@ class UIManager {
     this.controlsList = document.getElementById('controls-list');
     this.fpsCounter = document.getElementById('fps-counter');
     this.dashGaugeFill = document.getElementById('dash-gauge-fill');
+    this.healthGaugeFill = document.getElementById('health-gauge-fill');
+    this.healthGaugeValue = document.getElementById('health-gauge-value');
+    this.netStatsPanel = document.getElementById('net-stats');
+    this.netSimPanel = document.getElementById('net-sim');
+    this.netSimEnabled = document.getElementById('net-sim-enabled');
+    this.netSimPeer = document.getElementById('net-sim-peer');
+    this.netSimCounters = document.getElementById('net-sim-counters');
+    this.joinRequestsPanel = document.getElementById('join-requests');
+    this.joinRequestsContent = document.getElementById('join-requests-content');
+    this.spectatorHud = document.getElementById('spectator-hud');
+    this.hostSettings = document.getElementById('host-settings');
+    this.playerList = document.getElementById('player-list');
 
     // State
     this.players = new Map();
+    this.spectators = new Map(); // peerId -> { id, name }
     this.localPlayerId = null;
+    this.pings = new Map(); // peerId -> RTT (ms)
+    this.hostControls = null; // { onKick, onBan } - only set on the host
 
     // FPS tracking
     this.frameCount = 0;
     this.lastFpsUpdate = Date.now();
 
+    // Network stats refresh
+    this.lastNetStatsUpdate = 0;
+    this.lastNetSimUpdate = 0;
+
     // Initialize
     this.initializeControls();
   }
@@ -83,13 +102,264 @@ class UIManager {
       const isLocalPlayer = player.id === this.localPlayerId;
       const playerName = isLocalPlayer ? (player.name || 'You') : (player.name || `Player ${player.id.substring(0, 6)}`);
 
-      playerItem.innerHTML = `
-        <div class="player-color" style="background-color: #${player.color.toString(16).padStart(6, '0')}"></div>
-        <div class="player-name ${isLocalPlayer ? 'player-you' : ''}">${playerName}</div>
-      `;
+      const ping = this.pings.get(player.id);
+
+      // Names come from other peers - text only, never markup
+      const color = document.createElement('div');
+      color.className = 'player-color';
+      color.style.backgroundColor = '#' + player.color.toString(16).padStart(6, '0');
+      playerItem.appendChild(color);
+
+      const name = document.createElement('div');
+      name.className = 'player-name' + (isLocalPlayer ? ' player-you' : '');
+      name.textContent = playerName;
+      playerItem.appendChild(name);
+
+      if (!isLocalPlayer && ping != null) {
+        const pingLabel = document.createElement('div');
+        pingLabel.className = 'player-ping';
+        pingLabel.textContent = `${ping} ms`;
+        playerItem.appendChild(pingLabel);
+      }
+
+      if (!isLocalPlayer) {
+        this.addHostActions(playerItem, player.id);
+      }
 
       this.playerListContent.appendChild(playerItem);
     });
+
+    // Spectators in their own section below the players
+    if (this.spectators.size > 0) {
+      const header = document.createElement('div');
+      header.className = 'player-list-section';
+      header.textContent = `Spectators (${this.spectators.size})`;
+      this.playerListContent.appendChild(header);
+
+      this.spectators.forEach(spectator => {
+        const spectatorItem = document.createElement('div');
+        spectatorItem.className = 'player-item';
+
+        const isLocal = spectator.id === this.localPlayerId;
+        const ping = this.pings.get(spectator.id);
+
+        const name = document.createElement('div');
+        name.className = 'player-name' + (isLocal ? ' player-you' : '');
+        name.textContent = spectator.name;
+        spectatorItem.appendChild(name);
+
+        if (!isLocal && ping != null) {
+          const pingLabel = document.createElement('div');
+          pingLabel.className = 'player-ping';
+          pingLabel.textContent = `${ping} ms`;
+          spectatorItem.appendChild(pingLabel);
+        }
+
+        if (!isLocal) {
+          this.addHostActions(spectatorItem, spectator.id);
+        }
+
+        this.playerListContent.appendChild(spectatorItem);
+      });
+    }
+  }
+
+  // Room password, player cap and knock-to-join stay adjustable during the
+  // game (host only) - the room menu that held them is gone by then
+  showHostSettings() {
+    this.playerList.appendChild(this.hostSettings);
+  }
+
+  // Kick / ban buttons for a list entry (host only)
+  addHostActions(item, peerId) {
+    if (!this.hostControls) return;
+
+    const kickButton = document.createElement('button');
+    kickButton.className = 'player-action';
+    kickButton.textContent = 'Kick';
+    kickButton.addEventListener('click', () => this.hostControls.onKick(peerId));
+
+    const banButton = document.createElement('button');
+    banButton.className = 'player-action player-action-ban';
+    banButton.textContent = 'Ban';
+    banButton.addEventListener('click', () => this.hostControls.onBan(peerId));
+
+    item.append(kickButton, banButton);
+  }
+
+  updateSpectators(spectators) {
+    this.spectators = new Map(spectators.map(s => [s.id, s]));
+    this.refreshPlayerList();
+  }
+
+  // Who a spectator is watching - null hides the banner
+  updateSpectatorHud(text) {
+    this.spectatorHud.style.display = text ? 'block' : 'none';
+    this.spectatorHud.textContent = text || '';
+  }
+
+  // Show kick / ban buttons in the player list (host only)
+  setHostControls(onKick, onBan) {
+    this.hostControls = { onKick, onBan };
+    this.refreshPlayerList();
+  }
+
+  // Show players knocking to join (host only). onAccept / onDeny get the peer ID.
+  updateJoinRequests(requests, onAccept, onDeny) {
+    this.joinRequestsContent.innerHTML = '';
+    this.joinRequestsPanel.style.display = requests.length > 0 ? 'block' : 'none';
+
+    requests.forEach(request => {
+      const item = document.createElement('div');
+      item.className = 'join-request-item';
+
+      const name = document.createElement('div');
+      name.className = 'player-name';
+      name.textContent = request.spectator ? request.name + ' (spectator)' : request.name;
+
+      const acceptButton = document.createElement('button');
+      acceptButton.className = 'join-request-accept';
+      acceptButton.textContent = 'Accept';
+      acceptButton.addEventListener('click', () => onAccept(request.peerId));
+
+      const denyButton = document.createElement('button');
+      denyButton.className = 'join-request-deny';
+      denyButton.textContent = 'Deny';
+      denyButton.addEventListener('click', () => onDeny(request.peerId));
+
+      item.append(name, acceptButton, denyButton);
+      this.joinRequestsContent.appendChild(item);
+    });
+  }
+
+  // Update pings shown in the player list (peerId -> ms)
+  updatePings(pings) {
+    this.pings = new Map(Object.entries(pings));
+    this.refreshPlayerList();
+  }
+
+  // Show / hide the network stats panel
+  toggleNetStats() {
+    const hidden = this.netStatsPanel.style.display !== 'block';
+    this.netStatsPanel.style.display = hidden ? 'block' : 'none';
+    this.lastNetStatsUpdate = 0;
+  }
+
+  // Update network stats panel (twice a second while visible)
+  updateNetStats(network) {
+    if (this.netStatsPanel.style.display !== 'block') return;
+
+    const now = Date.now();
+    if (now - this.lastNetStatsUpdate < 500) return;
+    this.lastNetStatsUpdate = now;
+
+    const formatRate = (bytes) => `${(bytes / 1024).toFixed(1)} KB/s`;
+    const formatLoss = (loss) => `${Math.round(loss * 100)}%`;
+
+    this.netStatsPanel.innerHTML = '';
+    if (network.stats.peers.size === 0) {
+      this.netStatsPanel.textContent = 'No peers';
+      return;
+    }
+
+    // Names come from other peers - text only, never markup
+    network.stats.peers.forEach((stats, peerId) => {
+      const summary = network.stats.getSummary(peerId);
+      const player = this.players.get(peerId);
+      const label = player && player.name ? player.name : peerId.substring(0, 6);
+
+      const header = document.createElement('div');
+      header.className = 'net-stats-peer';
+      header.textContent = label + (peerId === network.roomId && !network.isHost ? ' (host)' : '');
+      this.netStatsPanel.appendChild(header);
+
+      [
+        `RTT: ${summary.rtt !== null ? summary.rtt + ' ms' : '-'} ±${summary.jitter} ms`,
+        `Loss: in ${formatLoss(summary.inboundLoss)} / out ${formatLoss(summary.outboundLoss)}`,
+        `In: ${formatRate(summary.bytesInPerSecond)} / Out: ${formatRate(summary.bytesOutPerSecond)}`,
+        `Dropped: stale ${summary.stalePackets} / dup ${summary.duplicatePackets}`
+      ].forEach(text => {
+        const line = document.createElement('div');
+        line.textContent = text;
+        this.netStatsPanel.appendChild(line);
+      });
+    });
+  }
+
+  // Wire the network simulator panel to the simulator of getNetwork()
+  setupNetSim(getNetwork) {
+    const apply = () => {
+      const network = getNetwork();
+      if (!network) return;
+
+      const simulator = network.simulator;
+      const peerId = this.netSimPeer.value || null;
+      const conditions = { outbound: {}, inbound: {} };
+      this.netSimPanel.querySelectorAll('.net-sim-input').forEach(input => {
+        const value = parseFloat(input.value) || 0;
+        conditions[input.dataset.direction][input.dataset.field] = input.dataset.percent ? value / 100 : value;
+      });
+
+      simulator.setEnabled(this.netSimEnabled.checked);
+      simulator.setConditions('outbound', conditions.outbound, peerId);
+      simulator.setConditions('inbound', conditions.inbound, peerId);
+    };
+
+    this.netSimEnabled.addEventListener('change', apply);
+    this.netSimPanel.querySelectorAll('.net-sim-input').forEach(input => {
+      input.addEventListener('change', apply);
+    });
+    // Switching peers shows that peer's settings instead of applying ours
+    this.netSimPeer.addEventListener('change', () => this.refreshNetSim(getNetwork()));
+  }
+
+  // Show / hide the network simulator panel
+  toggleNetSim(network) {
+    const hidden = this.netSimPanel.style.display !== 'block';
+    this.netSimPanel.style.display = hidden ? 'block' : 'none';
+    if (hidden && network) {
+      this.refreshNetSim(network);
+    }
+  }
+
+  // Fill the simulator panel from the simulator's current settings
+  refreshNetSim(network) {
+    if (!network) return;
+    const simulator = network.simulator;
+
+    // Peer list: everyone we are connected to, keeping the selection if possible
+    const selected = this.netSimPeer.value;
+    this.netSimPeer.innerHTML = '<option value="">All peers</option>';
+    network.connections.forEach((conn, peerId) => {
+      const player = this.players.get(peerId);
+      const option = document.createElement('option');
+      option.value = peerId;
+      option.textContent = player && player.name ? player.name : peerId.substring(0, 6);
+      this.netSimPeer.appendChild(option);
+    });
+    this.netSimPeer.value = network.connections.has(selected) ? selected : '';
+
+    const peerId = this.netSimPeer.value || null;
+    this.netSimEnabled.checked = simulator.enabled;
+    this.netSimPanel.querySelectorAll('.net-sim-input').forEach(input => {
+      const value = simulator.getConditions(input.dataset.direction, peerId)[input.dataset.field];
+      input.value = input.dataset.percent ? Math.round(value * 1000) / 10 : value;
+    });
+  }
+
+  // Update the simulator's counters (twice a second while visible)
+  updateNetSim(network) {
+    if (this.netSimPanel.style.display !== 'block') return;
+
+    const now = Date.now();
+    if (now - this.lastNetSimUpdate < 500) return;
+    this.lastNetSimUpdate = now;
+
+    const counters = network.simulator.counters;
+    this.netSimCounters.innerHTML =
+      `Delayed: ${counters.delayed} / Dropped: ${counters.dropped}<br>` +
+      `Duplicated: ${counters.duplicated} / Reordered: ${counters.reordered}<br>` +
+      `Retransmitted: ${counters.retransmitted}`;
   }
 
   // Update FPS counter
@@ -116,6 +386,18 @@ class UIManager {
     this.loadingScreen.classList.remove('hidden');
   }
 
+  // Show reconnect attempt in progress
+  showReconnecting() {
+    this.statusIndicator.classList.remove('connected');
+    this.statusText.textContent = 'Reconnecting...';
+  }
+
+  // Show host migration in progress
+  showMigrating() {
+    this.statusIndicator.classList.remove('connected');
+    this.statusText.textContent = 'Host left - migrating...';
+  }
+
   // Show disconnection message
   showDisconnected() {
     this.statusIndicator.classList.remove('connected');
@@ -166,6 +448,12 @@ class UIManager {
       this.dashGaugeFill.style.width = '0%';
     }
   }
+
+  updateHealthGauge(health, maxHealth, dead) {
+    const percentage = Math.max(0, Math.min(100, (health / maxHealth) * 100));
+    this.healthGaugeFill.style.width = `${percentage}%`;
+    this.healthGaugeValue.textContent = dead ? 'Respawning...' : `${Math.ceil(health)} / ${maxHealth}`;
+  }
 }
 
 // Create global UI manager instance